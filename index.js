@@ -2,37 +2,391 @@
  * @typedef {Document | XMLDocument} Doc
  */
   
-const { ELEMENT_NODE, TEXT_NODE, CDATA_SECTION_NODE } = (() => {
+const { ELEMENT_NODE, TEXT_NODE, CDATA_SECTION_NODE, DOCUMENT_NODE } = (() => {
   let ELEMENT_NODE = 1;
   let TEXT_NODE = 3;
   let CDATA_SECTION_NODE = 4;
+  let DOCUMENT_NODE = 9;
 
   // If using node.js
   if (typeof Node === 'undefined') {
     ELEMENT_NODE = 1;
     TEXT_NODE = 3;
     CDATA_SECTION_NODE = 4;
+    DOCUMENT_NODE = 9;
   } 
   // In the browser
   else { 
     ELEMENT_NODE = Node.ELEMENT_NODE;
     TEXT_NODE = Node.TEXT_NODE;
     CDATA_SECTION_NODE = Node.CDATA_SECTION_NODE;
+    DOCUMENT_NODE = Node.DOCUMENT_NODE;
   }
 
   return {
     ELEMENT_NODE,
     TEXT_NODE,
     CDATA_SECTION_NODE,
+    DOCUMENT_NODE,
   }
 })();
 
+/**
+ * Thrown when a CFI string can not be parsed. Carries the position of the
+ * offending character in the original string, the state the parser was in
+ * when it got there and a list of what would have been accepted instead.
+ */
+class CFISyntaxError extends Error {
+
+  /**
+   * @param {string} message 
+   * @param {{ cfi: string; index: number; state: string | null; expected: string[] }} info 
+   */
+  constructor(message, info) {
+    const character = info.cfi.charAt(info.index);
+    const found = character ? `'${character}'` : 'end of input';
+    super(`${message} at index ${info.index} (found ${found}, expected ${info.expected.join(' or ')})`);
+
+    this.name = 'CFISyntaxError';
+    /** @type {string} */
+    this.cfi = info.cfi;
+    /** @type {number} */
+    this.index = info.index;
+    /** @type {string} */
+    this.character = character;
+    /** @type {string | null} */
+    this.state = info.state;
+    /** @type {string[]} */
+    this.expected = info.expected;
+  }
+}
+
 /**
  * @param {string} str 
  * @returns {string}
  */
 function cfiEscape(str) {
-  return str.replace(/[\[\]\^,();]/g, "^$&");
+  return str.replace(/[\[\]\^,();=]/g, "^$&");
+}
+
+/**
+ * Decode percent-encoded UTF-8 sequences. Anything that is not a valid
+ * sequence, e.g. a literal '%' in a hand-written href, is left as is.
+ * 
+ * @param {string} str 
+ * @returns {string}
+ */
+function percentDecode(str) {
+  return str.replace(/(?:%[0-9a-fA-F]{2})+/g, (seq) => {
+    try {
+      return decodeURIComponent(seq);
+    } catch(err) {
+      return seq;
+    }
+  });
+}
+
+/**
+ * Normalize a relative path or href so it can be compared to others:
+ * strip any query and fragment, decode percent-encoding and resolve
+ * '.' and '..' segments.
+ * 
+ * @param {string} path 
+ * @returns {string}
+ */
+function normalizePath(path) {
+  return resolveDotSegments(percentDecode(path.replace(/[?#].*$/, '')));
+}
+
+/**
+ * Resolve '.' and '..' segments in a path and remove empty segments,
+ * except for a leading one.
+ * 
+ * @param {string} path 
+ * @returns {string}
+ */
+function resolveDotSegments(path) {
+  /** @type {string[]} */
+  const segments = [];
+  for (let segment of path.split('/')) {
+    if (segment === '.' || (segment === '' && segments.length)) continue;
+    if (segment === '..' && segments.length && segments[segments.length - 1] !== '..') {
+      segments.pop();
+      continue;
+    }
+    segments.push(segment);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Resolve an href, e.g. from a manifest item, against the URI of the
+ * document it is found in. Absolute base URIs are resolved using URL while
+ * relative ones, like paths inside an unpacked EPUB, are joined with the
+ * directory of the base.
+ * 
+ * @param {string} href 
+ * @param {string} [base] 
+ * @returns {string}
+ */
+function resolveRelativeURI(href, base) {
+  const scheme = /^[a-zA-Z][a-zA-Z0-9+.-]*:/;
+  if (!base || scheme.test(href)) return href;
+  if (scheme.test(base)) return new URL(href, base).href;
+
+  const m = href.match(/^([^?#]*)(.*)$/);
+  const path = /** @type {RegExpMatchArray} */(m)[1];
+  const suffix = /** @type {RegExpMatchArray} */(m)[2];
+  if (!path) return base.replace(/[?#].*$/, '') + suffix;
+
+  const dir = (path.startsWith('/')) ? '' : base.replace(/[?#].*$/, '').replace(/[^/]*$/, '');
+  return resolveDotSegments(dir + path) + suffix;
+}
+
+/**
+ * Guess the mimetype to parse a document with from its file extension
+ * 
+ * @param {string} uri 
+ * @returns {string}
+ */
+function guessMimeType(uri) {
+  const ext = uri.replace(/[?#].*$/, '').replace(/^.*\./, '').toLowerCase();
+  if (ext === 'html' || ext === 'htm') return 'text/html';
+  if (ext === 'svg') return 'image/svg+xml';
+  if (ext === 'opf') return 'application/oebps-package+xml';
+  if (ext === 'xml') return 'application/xml';
+  return 'application/xhtml+xml';
+}
+
+/**
+ * @typedef {(text: string, mimeType: string) => Doc} ParseFunction
+ */
+
+/**
+ * Use the parse function if given or fall back to DOMParser
+ * 
+ * @param {ParseFunction} [parse] 
+ * @returns {ParseFunction}
+ */
+function getParseFunction(parse) {
+  if (parse) return parse;
+  if (typeof DOMParser === 'undefined') {
+    throw new Error("DOMParser not available. You must supply a parse function.");
+  }
+  /** @type {DOMParserSupportedType[]} */
+  const supported = ['text/html', 'text/xml', 'application/xml', 'application/xhtml+xml', 'image/svg+xml'];
+  return (text, mimeType) => {
+    // DOMParser only knows a few types, other XML types like the package document's are parsed as XML
+    const type = supported.find((t) => t === mimeType) ?? 'application/xml';
+    return new DOMParser().parseFromString(text, type);
+  };
+}
+
+/**
+ * Find the package document of a publication using its container document
+ * 
+ * @param {(uri: string) => Promise<Doc | null>} fetchCB 
+ * @param {Partial<RootfileOptions & { root: string }>} [opts]
+ * @returns {Promise<{ packagePath: string; packageURI: string }>}
+ */
+async function findPackage(fetchCB, opts) {
+  // The root is a directory so make sure relative paths are resolved inside it
+  let root = opts?.root || undefined;
+  if (root && !root.endsWith('/')) root += '/';
+
+  const containerURI = resolveRelativeURI('META-INF/container.xml', root);
+  const containerDoc = await fetchCB(containerURI);
+  if (!containerDoc) throw new Error("Failed to get container document: " + containerURI);
+
+  const packagePath = CFI.findRootfile(containerDoc, opts);
+  return { packagePath, packageURI: resolveRelativeURI(packagePath, root) };
+}
+
+/**
+ * Validate the part of a CFI between "epubcfi(" and the closing ")" against
+ * the EBNF grammar in section 3.4 of the EPUB CFI specification.
+ * Throws a CFISyntaxError on the first non-conformant character.
+ * 
+ * @param {string} cfi - the full CFI string
+ * @param {number} start - index of the first character after "epubcfi("
+ * @param {number} end - index of the closing ")"
+ */
+function validateStrict(cfi, start, end) {
+  const special = '^[](),;=';
+  let i = start;
+  /** @type {string | null} */
+  let state = null;
+
+  const peek = () => (i < end ? cfi[i] : '');
+  /** @param {string} c */
+  const isDigit = (c) => (c >= '0' && c <= '9');
+
+  /**
+   * @param {string} message 
+   * @param {string[]} expected 
+   * @returns {never}
+   */
+  function fail(message, expected) {
+    throw new CFISyntaxError(message, { cfi, index: i, state, expected });
+  }
+
+  function integer() {
+    if (peek() === '0') {
+      i++;
+    } else if (isDigit(peek())) {
+      while (isDigit(peek())) i++;
+    } else {
+      fail("Invalid integer", ['digit']);
+    }
+  }
+
+  function number() {
+    integer();
+    if (peek() !== '.') return;
+    i++;
+    let last = '';
+    while (isDigit(peek())) last = cfi[i++];
+    if (!last) fail("Invalid number", ['digit']);
+    if (last === '0') {
+      i--;
+      fail("Trailing zero in number", ['non-zero digit']);
+    }
+  }
+
+  /**
+   * @param {boolean} noSpace 
+   * @returns {boolean} true if at least one character was consumed
+   */
+  function value(noSpace) {
+    const begin = i;
+    while (i < end) {
+      const c = cfi[i];
+      if (c === '^') {
+        i++;
+        if (!special.includes(peek()) || !peek()) fail("Invalid escape sequence", ['special character']);
+        i++;
+      } else if (special.includes(c) || (noSpace && c === ' ')) {
+        break;
+      } else {
+        i++;
+      }
+    }
+    return i > begin;
+  }
+
+  function parameter() {
+    i++; // skip ';'
+    if (!value(true)) fail("Missing parameter name", ['parameter name']);
+    if (peek() !== '=') fail("Invalid parameter", ["'='"]);
+    i++;
+    if (!value(false)) fail("Missing parameter value", ['value']);
+    while (peek() === ',') {
+      i++;
+      if (!value(false)) fail("Missing parameter value", ['value']);
+    }
+  }
+
+  function assertion() {
+    i++; // skip '['
+    const hasPre = value(false);
+    if (peek() === ',') {
+      i++;
+      if (!value(false) && !hasPre) fail("Empty text location assertion", ['value']);
+    } else if (!hasPre && peek() !== ';') {
+      fail("Empty assertion", ['value', "';'"]);
+    }
+    while (peek() === ';') parameter();
+    if (peek() !== ']') fail("Unterminated assertion", ["';'", "']'"]);
+    i++;
+  }
+
+  // Spatial coordinates are percentages of the width and height
+  function coordinate() {
+    const begin = i;
+    number();
+    if (parseFloat(cfi.slice(begin, i)) > 100) {
+      i = begin;
+      fail("Spatial coordinate out of range", ['number from 0 to 100']);
+    }
+  }
+
+  function spatial() {
+    coordinate();
+    if (peek() !== ':') fail("Invalid spatial offset", ["':'"]);
+    i++;
+    coordinate();
+  }
+
+  function step() {
+    state = '/';
+    i++; // skip '/'
+    integer();
+    if (peek() === '[') {
+      state = 'nodeID';
+      assertion();
+    }
+    state = null;
+  }
+
+  function offset() {
+    const c = peek();
+    state = c;
+    i++;
+    if (c === ':') {
+      integer();
+    } else if (c === '~') {
+      number();
+      if (peek() === '@') {
+        state = '@';
+        i++;
+        spatial();
+      }
+    } else {
+      spatial();
+    }
+    if (peek() === '[') {
+      state = '[';
+      assertion();
+    }
+    state = null;
+  }
+
+  /** @param {string} c */
+  const isOffset = (c) => (c === ':' || c === '~' || c === '@');
+
+  function localPath() {
+    while (peek() === '/') step();
+    if (peek() === '!') {
+      state = '!';
+      i++;
+      if (isOffset(peek())) {
+        offset();
+      } else {
+        path();
+      }
+    } else if (isOffset(peek())) {
+      offset();
+    }
+  }
+
+  function path() {
+    if (peek() !== '/') fail("Missing step", ["'/'"]);
+    step();
+    localPath();
+  }
+
+  path();
+  if (peek() === ',') {
+    i++;
+    localPath();
+    if (peek() !== ',') fail("Incomplete range", ["','"]);
+    i++;
+    localPath();
+  }
+  if (i < end) {
+    fail("Unexpected character", ["'/'", "'['", "'!'", "':'", "'~'", "'@'", "','", "')'"]);
+  }
 }
 
 /**
@@ -48,21 +402,25 @@ function matchAll(str, regExp, add) {
   add = add ?? 0;
 
   let matches = [];
-  let offset = 0;
-
-  do {
-    const m = str.match(regExp);
-    if (!m) break;
-    const matchIndex = /** @type {number} */ (m.index);
+  const re = new RegExp(regExp.source, 'g');
 
-    matches.push(matchIndex + add);
-    offset += matchIndex + m.length;
-    str = str.slice(matchIndex + m.length);
-  } while (offset < str.length);
+  let m;
+  while ((m = re.exec(str))) {
+    matches.push(m.index + add);
+    if (!m[0].length) re.lastIndex++;
+  }
 
   return matches;
 }
 
+/**
+ * @param {string} str 
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Get the number in a that has the smallest diff to n
  * @param {number[]} a 
@@ -79,7 +437,7 @@ function closest(a, n) {
   for (let i=0; i < a.length; i++) {
     diff = Math.abs(a[i] - n);
     if (!i || diff < minDiff) {
-      diff = minDiff; // ??
+      minDiff = diff;
       closest = a[i];
     }
   }
@@ -87,17 +445,258 @@ function closest(a, n) {
   return closest;
 }
 
+/**
+ * Get the text before and after the location of a Text Location Assertion.
+ * Character and entity references are only decoded for matching against
+ * XML source, text of a DOM is matched as it is.
+ * 
+ * @param {string | TextLocalAssertion} assertion 
+ * @param {boolean} [decode] - decode character and entity references
+ * @returns {{ pre: string; post: string }}
+ */
+function splitAssertion(assertion, decode) {
+  const text = (/** @type {string} */ str) => (decode) ? decodeEntities(str) : str;
+  if (typeof assertion === 'string') return { pre: '', post: text(assertion) };
+  return { pre: text(assertion.pre ?? ''), post: text(assertion.post ?? '') };
+}
+
+/**
+ * Get the offsets in text where a Text Location Assertion matches. The
+ * assertion text is immediately before and after the location, but older
+ * CFIs from this library put the character at the offset in between the two.
+ * 
+ * @param {string} text 
+ * @param {string} pre 
+ * @param {string} post 
+ * @returns {number[]}
+ */
+function matchAssertion(text, pre, post) {
+  let m = matchAll(text, new RegExp(escapeRegExp(pre) + escapeRegExp(post)), pre.length);
+  if (!m.length && pre && post) {
+    m = matchAll(text, new RegExp(escapeRegExp(pre) + '.' + escapeRegExp(post)), pre.length);
+  }
+  return m;
+}
+
+/**
+ * Access to the nodes of a document tree. The resolver and the generator only
+ * use these functions, so trees that are not a W3C DOM, like those of parse5
+ * or htmlparser2 or a JSON AST, can be used by passing an adapter for them as
+ * the `adapter` option.
+ * 
+ * Node types are the same numbers as in the DOM: 1 for elements, 3 for text,
+ * 4 for CDATA sections and 9 for the document. Other nodes, like comments,
+ * are skipped the same way as in the DOM.
+ * 
+ * @typedef {object} TreeAdapter
+ * @property {(node: any) => number} nodeType
+ * @property {(node: any) => ArrayLike<any>} children - all child nodes, including text
+ * @property {(node: any) => any} parent - parent node or null
+ * @property {(node: any) => string} tagName - tag name of an element
+ * @property {(node: any, name: string) => string | null} getAttribute
+ *  - attribute of an element by its qualified name, e.g. `xml:id` or `xlink:href`
+ * @property {(node: any) => string} text - text of a text or CDATA node
+ * @property {(doc: any, id: string) => any} [getElementById]
+ *  - element with an `id` or `xml:id`, or null. Defaults to searching the whole tree
+ */
+
+/**
+ * The default adapter, for W3C DOM documents
+ * 
+ * @type {TreeAdapter}
+ */
+const DOM_ADAPTER = Object.freeze({
+  nodeType: (node) => node.nodeType,
+  children: (node) => node.childNodes,
+  parent: (node) => node.parentNode,
+  tagName: (node) => node.tagName,
+  getAttribute: (node, name) => (name === 'xml:id') ? getXmlID(node) : node.getAttribute(name),
+  text: (node) => node.textContent ?? '',
+
+  // getElementById() does not support xml:id in all environments
+  getElementById: (doc, id) => {
+    const element = doc.getElementById(id);
+    if (element) return element;
+
+    const elements = doc.getElementsByTagName('*');
+    for (let i = 0; i < elements.length; i++) {
+      if (getXmlID(elements[i]) === id) return elements[i];
+    }
+    return null;
+  }
+});
+
+/**
+ * Get the tree adapter from the options, checking that it is complete
+ * 
+ * @param {{ adapter?: TreeAdapter } | undefined} opts 
+ * @returns {TreeAdapter}
+ */
+function getAdapter(opts) {
+  const tree = opts?.adapter;
+  if (!tree) return DOM_ADAPTER;
+
+  for (let name of ['nodeType', 'children', 'parent', 'tagName', 'getAttribute', 'text']) {
+    if (typeof (/** @type {Record<string, unknown>} */(/** @type {unknown} */(tree)))[name] !== 'function') {
+      throw new Error("Tree adapter is missing " + name + "()");
+    }
+  }
+  return tree;
+}
+
+/**
+ * Find the first element below root, in document order, that predicate
+ * returns true for
+ * 
+ * @param {Node} root 
+ * @param {(element: Node) => boolean} predicate 
+ * @param {TreeAdapter} tree 
+ * @returns {Node | null}
+ */
+function findElement(root, predicate, tree) {
+  const children = tree.children(root);
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i];
+    if (tree.nodeType(child) !== ELEMENT_NODE) continue;
+    if (predicate(child)) return child;
+    const found = findElement(child, predicate, tree);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Elements to ignore, e.g. markup inserted by a reading system. Either
+ * a function returning true for elements to ignore, or lists of classes
+ * and attribute names of which an element needs to have at least one.
+ * 
+ * @typedef {((element: Element) => boolean) | { classes?: string[]; attributes?: string[] }} FilterOption
+ */
+
+/**
+ * Check whether node is an element that should be ignored according to filter
+ * 
+ * @param {Node | null} node 
+ * @param {FilterOption} [filter]
+ * @param {TreeAdapter} [tree]
+ * @returns {boolean}
+ */
+function isIgnored(node, filter, tree = DOM_ADAPTER) {
+  if (!filter || !node || tree.nodeType(node) !== ELEMENT_NODE) return false;
+  const element = /** @type {Element} */(node);
+
+  if (typeof filter === 'function') return !!filter(element);
+
+  if (filter.classes) {
+    const classes = (tree.getAttribute(element, 'class') ?? '').split(/\s+/);
+    if (filter.classes.some((c) => classes.includes(c))) return true;
+  }
+  if (filter.attributes) {
+    if (filter.attributes.some((a) => tree.getAttribute(element, a) !== null)) return true;
+  }
+  return false;
+}
+
+/**
+ * Get the child nodes of parent as counted by the CFI standard when using
+ * filter. Ignored elements are transparent: they are replaced by their own
+ * children, so that text split by an ignored element is adjacent again.
+ * 
+ * @param {Node} parent 
+ * @param {FilterOption} [filter]
+ * @param {TreeAdapter} [tree]
+ * @returns {ArrayLike<Node>}
+ */
+function getChildren(parent, filter, tree = DOM_ADAPTER) {
+  const childNodes = tree.children(parent);
+  if (!filter) return childNodes;
+
+  /** @type {Node[]} */
+  const children = [];
+  for (let i = 0; i < childNodes.length; i++) {
+    const child = childNodes[i];
+    if (isIgnored(child, filter, tree)) {
+      children.push(...Array.from(getChildren(child, filter, tree)));
+    } else {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+/**
+ * Check whether ancestor is node or one of its ancestors
+ * 
+ * @param {Node} ancestor 
+ * @param {Node} node 
+ * @param {TreeAdapter} [tree]
+ * @returns {boolean}
+ */
+function isAncestor(ancestor, node, tree = DOM_ADAPTER) {
+  for (let n = /** @type {Node | null} */(node); n; n = tree.parent(n)) {
+    if (n === ancestor) return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether a comes before b in document order, like
+ * `compareDocumentPosition()` does. An ancestor comes before its descendants.
+ * 
+ * @param {Node} a 
+ * @param {Node} b 
+ * @param {TreeAdapter} [tree]
+ * @returns {boolean}
+ */
+function precedes(a, b, tree = DOM_ADAPTER) {
+  /** @param {Node} node */
+  const getPath = (node) => {
+    /** @type {Node[]} */
+    const path = [];
+    for (let n = /** @type {Node | null} */(node); n; n = tree.parent(n)) path.unshift(n);
+    return path;
+  };
+  const pathA = getPath(a);
+  const pathB = getPath(b);
+
+  let i = 0;
+  while (i < pathA.length && i < pathB.length && pathA[i] === pathB[i]) i++;
+  // Different trees, the same node or b is an ancestor of a
+  if (i === 0 || i === pathB.length) return false;
+  if (i === pathA.length) return true;
+
+  const siblings = Array.from(tree.children(pathA[i - 1]));
+  return siblings.indexOf(pathA[i]) < siblings.indexOf(pathB[i]);
+}
+
+/**
+ * Get the closest ancestor of node that is not ignored when using filter
+ * 
+ * @param {Node} node 
+ * @param {FilterOption} [filter]
+ * @param {TreeAdapter} [tree]
+ * @returns {Node | null}
+ */
+function getParent(node, filter, tree = DOM_ADAPTER) {
+  let parent = tree.parent(node);
+  while (parent && isIgnored(parent, filter, tree)) {
+    parent = tree.parent(parent);
+  }
+  return parent;
+}
+
 /**
  * Given a set of nodes that are all children and a reference to one of those 
  * nodes, calculate the count/index of the node according to the CFI spec.
  * Also re-calculate offset if supplied and relevant
  * 
- * @param {NodeListOf<Node>} nodes 
+ * @param {ArrayLike<Node>} nodes 
  * @param {Node} n 
  * @param {number} [offset]
+ * @param {TreeAdapter} [tree]
  * @returns {{count: number; offset?: number}}
  */
-function calcSiblingCount(nodes, n, offset) {
+function calcSiblingCount(nodes, n, offset, tree = DOM_ADAPTER) {
   let count = 0;
   let lastWasElement = false;
   let prevOffset = 0;
@@ -105,7 +704,8 @@ function calcSiblingCount(nodes, n, offset) {
 
   for (let i=0; i < nodes.length; i++) {
     const node = /** @type {Element} */(nodes[i]);
-    if (node.nodeType === ELEMENT_NODE) {
+    const nodeType = tree.nodeType(node);
+    if (nodeType === ELEMENT_NODE) {
       if (lastWasElement || firstNode) {
         count += 2;
         firstNode = false;
@@ -114,7 +714,7 @@ function calcSiblingCount(nodes, n, offset) {
       }
       
       if (n === node) {
-        if (node.tagName.toLowerCase() === 'img') {
+        if (tree.tagName(node).toLowerCase() === 'img') {
           return { count, offset };
         } else {
           return { count };
@@ -122,8 +722,8 @@ function calcSiblingCount(nodes, n, offset) {
       }
       prevOffset = 0;
       lastWasElement = true;
-    } else if (node.nodeType === TEXT_NODE ||
-               node.nodeType === CDATA_SECTION_NODE) {
+    } else if (nodeType === TEXT_NODE ||
+               nodeType === CDATA_SECTION_NODE) {
       if (lastWasElement || firstNode) {
         count++;
         firstNode = false;
@@ -133,7 +733,7 @@ function calcSiblingCount(nodes, n, offset) {
         return { count, offset: (offset ?? 0) + prevOffset };
       }
 
-      prevOffset += (node.textContent ?? '').length;
+      prevOffset += tree.text(node).length;
       lastWasElement = false;
     } else {
       continue;
@@ -144,48 +744,209 @@ function calcSiblingCount(nodes, n, offset) {
 }
 
 /**
+ * Get the text of the CFI text node that n is part of, i.e. the combined text
+ * of all adjacent text and CDATA siblings, merged the same way as in calcSiblingCount().
  * 
- * @param {number | unknown} a 
- * @param {number | unknown} b 
- * @returns {number}
+ * @param {ArrayLike<Node>} nodes 
+ * @param {Node} n 
+ * @param {TreeAdapter} [tree]
+ * @returns {string}
  */
-function compareTemporal(a, b) {
-  //const isA = (typeof a === 'number');
-  //const isB = (typeof b === 'number');
-
-  /**
-   * @param {unknown} x 
-   * @returns {x is number}
-   */
-  function isNumber(x) { 
-    return typeof x === 'number';
-  }
-  const isA = isNumber(a);
-  const isB = isNumber(b);
+function getTextRun(nodes, n, tree = DOM_ADAPTER) {
+  let text = '';
+  let found = false;
 
-  if (isA && isB) {
-    return (a || 0.0) - (b || 0.0);
+  for (let i=0; i < nodes.length; i++) {
+    const node = nodes[i];
+    const nodeType = tree.nodeType(node);
+    if (nodeType === ELEMENT_NODE) {
+      if (found) break;
+      text = '';
+    } else if (nodeType === TEXT_NODE ||
+               nodeType === CDATA_SECTION_NODE) {
+      if (node === n) found = true;
+      text += tree.text(node);
+    }
   }
 
-  else if (!isA && isB) return -1;
-  else if (isA && !isB) return 1;
-  // (!isA && !isB)
-  else return 0;
+  return text;
 }
 
-function compareSpatial(a, b) {
-  if (!a && !b) return 0;
-  if (!a && b) return -1;
-  if (a && !b) return 1;
-
-  let diff = (a.y || 0) - (b.y || 0);
-  if (diff) return diff;
-
-  return (a.x || 0) - (b.x || 0);
-}
+/**
+ * @typedef {'utf16' | 'codepoint' | 'grapheme'} OffsetUnit
+ */
 
 /**
- * @typedef {object} ParsedPiece
+ * Get the unit that character offsets are counted in, checking that it is
+ * supported.
+ * 
+ * @param {{ offsetUnit?: OffsetUnit } | undefined} opts 
+ * @returns {OffsetUnit}
+ */
+function getOffsetUnit(opts) {
+  const unit = opts?.offsetUnit ?? 'utf16';
+  if (unit !== 'utf16' && unit !== 'codepoint' && unit !== 'grapheme') {
+    throw new Error("offsetUnit must be 'utf16', 'codepoint' or 'grapheme'");
+  }
+  if (unit === 'grapheme' && (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function')) {
+    throw new Error("Intl.Segmenter not available. Grapheme offsets are not supported.");
+  }
+  return unit;
+}
+
+/**
+ * Split a string into the units that character offsets are counted in
+ * 
+ * @param {string} str 
+ * @param {OffsetUnit} unit 
+ * @returns {string[]}
+ */
+function splitUnits(str, unit) {
+  if (unit === 'codepoint') return Array.from(str);
+  if (unit === 'grapheme') {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(str), (s) => s.segment);
+  }
+  return str.split('');
+}
+
+/**
+ * @param {string} str 
+ * @param {OffsetUnit} unit 
+ * @returns {number}
+ */
+function countUnits(str, unit) {
+  return (unit === 'utf16') ? str.length : splitUnits(str, unit).length;
+}
+
+/**
+ * Convert an offset in the given unit to an offset in UTF-16 code units
+ * as used by the DOM. Offsets past the end of str stay past the end.
+ * 
+ * @param {string} str 
+ * @param {number} offset 
+ * @param {OffsetUnit} unit 
+ * @returns {number}
+ */
+function toUTF16Offset(str, offset, unit) {
+  if (unit === 'utf16') return offset;
+  const units = splitUnits(str, unit);
+  if (offset >= units.length) return str.length + offset - units.length;
+  return units.slice(0, offset).join('').length;
+}
+
+/**
+ * Convert an offset in UTF-16 code units to an offset in the given unit
+ * 
+ * @param {string} str 
+ * @param {number} offset 
+ * @param {OffsetUnit} unit 
+ * @returns {number}
+ */
+function fromUTF16Offset(str, offset, unit) {
+  if (unit === 'utf16') return offset;
+  return countUnits(str.slice(0, offset), unit) + Math.max(0, offset - str.length);
+}
+
+/**
+ * The predefined XML entities and the entities of the XHTML 1.0 DTDs
+ */
+const ENTITIES = Object.assign(Object.create(null), {
+  quot: 34, amp: 38, apos: 39, lt: 60, gt: 62, nbsp: 160, iexcl: 161, cent: 162, pound: 163,
+  curren: 164, yen: 165, brvbar: 166, sect: 167, uml: 168, copy: 169, ordf: 170, laquo: 171,
+  not: 172, shy: 173, reg: 174, macr: 175, deg: 176, plusmn: 177, sup2: 178, sup3: 179, acute: 180,
+  micro: 181, para: 182, middot: 183, cedil: 184, sup1: 185, ordm: 186, raquo: 187, frac14: 188,
+  frac12: 189, frac34: 190, iquest: 191, Agrave: 192, Aacute: 193, Acirc: 194, Atilde: 195,
+  Auml: 196, Aring: 197, AElig: 198, Ccedil: 199, Egrave: 200, Eacute: 201, Ecirc: 202, Euml: 203,
+  Igrave: 204, Iacute: 205, Icirc: 206, Iuml: 207, ETH: 208, Ntilde: 209, Ograve: 210, Oacute: 211,
+  Ocirc: 212, Otilde: 213, Ouml: 214, times: 215, Oslash: 216, Ugrave: 217, Uacute: 218,
+  Ucirc: 219, Uuml: 220, Yacute: 221, THORN: 222, szlig: 223, agrave: 224, aacute: 225, acirc: 226,
+  atilde: 227, auml: 228, aring: 229, aelig: 230, ccedil: 231, egrave: 232, eacute: 233,
+  ecirc: 234, euml: 235, igrave: 236, iacute: 237, icirc: 238, iuml: 239, eth: 240, ntilde: 241,
+  ograve: 242, oacute: 243, ocirc: 244, otilde: 245, ouml: 246, divide: 247, oslash: 248,
+  ugrave: 249, uacute: 250, ucirc: 251, uuml: 252, yacute: 253, thorn: 254, yuml: 255, OElig: 338,
+  oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732, Alpha: 913,
+  Beta: 914, Gamma: 915, Delta: 916, Epsilon: 917, Zeta: 918, Eta: 919, Theta: 920, Iota: 921,
+  Kappa: 922, Lambda: 923, Mu: 924, Nu: 925, Xi: 926, Omicron: 927, Pi: 928, Rho: 929, Sigma: 931,
+  Tau: 932, Upsilon: 933, Phi: 934, Chi: 935, Psi: 936, Omega: 937, alpha: 945, beta: 946,
+  gamma: 947, delta: 948, epsilon: 949, zeta: 950, eta: 951, theta: 952, iota: 953, kappa: 954,
+  lambda: 955, mu: 956, nu: 957, xi: 958, omicron: 959, pi: 960, rho: 961, sigmaf: 962, sigma: 963,
+  tau: 964, upsilon: 965, phi: 966, chi: 967, psi: 968, omega: 969, thetasym: 977, upsih: 978,
+  piv: 982, ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221,
+  bdquo: 8222, dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242,
+  Prime: 8243, lsaquo: 8249, rsaquo: 8250, oline: 8254, frasl: 8260, euro: 8364, image: 8465,
+  weierp: 8472, real: 8476, trade: 8482, alefsym: 8501, larr: 8592, uarr: 8593, rarr: 8594,
+  darr: 8595, harr: 8596, crarr: 8629, lArr: 8656, uArr: 8657, rArr: 8658, dArr: 8659, hArr: 8660,
+  forall: 8704, part: 8706, exist: 8707, empty: 8709, nabla: 8711, isin: 8712, notin: 8713,
+  ni: 8715, prod: 8719, sum: 8721, minus: 8722, lowast: 8727, radic: 8730, prop: 8733, infin: 8734,
+  ang: 8736, and: 8743, or: 8744, cap: 8745, cup: 8746, int: 8747, there4: 8756, sim: 8764,
+  cong: 8773, asymp: 8776, ne: 8800, equiv: 8801, le: 8804, ge: 8805, sub: 8834, sup: 8835,
+  nsub: 8836, sube: 8838, supe: 8839, oplus: 8853, otimes: 8855, perp: 8869, sdot: 8901,
+  lceil: 8968, rceil: 8969, lfloor: 8970, rfloor: 8971, lang: 9001, rang: 9002, loz: 9674,
+  spades: 9824, clubs: 9827, hearts: 9829, diams: 9830
+});
+
+/**
+ * Decode character and entity references, without using a DOM.
+ * Unknown entities are left as they are.
+ * 
+ * @param {string} str 
+ * @returns {string}
+ */
+function decodeEntities(str) {
+  if (str.indexOf('&') < 0) return str;
+
+  return str.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));/g, (ref, dec, hex, name) => {
+    const code = (dec) ? parseInt(dec, 10) : (hex) ? parseInt(hex, 16) : ENTITIES[name];
+    if (code === undefined || code > 0x10FFFF) return ref;
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * 
+ * @param {number | unknown} a 
+ * @param {number | unknown} b 
+ * @returns {number}
+ */
+function compareTemporal(a, b) {
+  //const isA = (typeof a === 'number');
+  //const isB = (typeof b === 'number');
+
+  /**
+   * @param {unknown} x 
+   * @returns {x is number}
+   */
+  function isNumber(x) { 
+    return typeof x === 'number';
+  }
+  const isA = isNumber(a);
+  const isB = isNumber(b);
+
+  if (isA && isB) {
+    return (a || 0.0) - (b || 0.0);
+  }
+
+  else if (!isA && isB) return -1;
+  else if (isA && !isB) return 1;
+  // (!isA && !isB)
+  else return 0;
+}
+
+function compareSpatial(a, b) {
+  if (!a && !b) return 0;
+  if (!a && b) return -1;
+  if (a && !b) return 1;
+
+  let diff = (a.y || 0) - (b.y || 0);
+  if (diff) return diff;
+
+  return (a.x || 0) - (b.x || 0);
+}
+
+/**
+ * @typedef {object} ParsedPiece
  * @property   {number} nodeIndex
  * @property   {string | null} [nodeID]
  * @property   {number} [offset]
@@ -205,7 +966,10 @@ function compareSpatial(a, b) {
  * 
  * @property   {'before' | 'after'} [sideBias]
  * 
- * @typedef {{ pre: string; post?: string; }} TextLocalAssertion
+ * @property   {Record<string, string[]>} [parameters]
+ *   - Parameters other than side bias, e.g. vendor parameters like ;vnd.foo=bar (3.1.9)
+ * 
+ * @typedef {{ pre?: string; post?: string; }} TextLocalAssertion
  */
 
 /**
@@ -215,204 +979,1937 @@ function compareSpatial(a, b) {
  */
 
 /**
- * @typedef {{ node: Node; offset?: number; relativeToNode?: 'before' | 'after' }} CFIIndexedObject
+ * @typedef {{ node: Node; offset?: number; relativeToNode?: 'before' | 'after'; confidence?: number; diagnostics?: StepDiagnostic[]; conflict?: ResolveConflict }} CFIIndexedObject
  * 
  * @typedef {Omit<ParsedPiece, "nodeIndex"> & CFIIndexedObject} CFILocation
  */
 
+/**
+ * @typedef {object} GenerateOptions
+ * @property {number} temporal
+ *  - Temporal position in seconds to append to the last step (for audio and video)
+ * @property {{ x: number; y: number }} spatial
+ *  - Spatial position, as percentages from 0 to 100, to append to the last step (for images and video)
+ * @property {{ before?: number; after?: number }} assertion
+ *  - Add a Text Location Assertion with this many characters of text before and after the location
+ * @property {'before' | 'after'} sideBias
+ *  - Add side bias to the last step
+ * @property {Record<string, string | string[]>} parameters
+ *  - Parameters, e.g. vendor parameters like `{ 'vnd.foo': 'bar' }`, to add to the last step
+ * @property {'before' | 'after'} relativeToNode
+ *  - Generate the position immediately before or after the node instead of the node itself
+ * @property {'all' | 'none' | 'unique' | ((id: string, element: Element) => boolean)} ids
+ *  - Which element IDs to add to the steps. Defaults to 'all'
+ * @property {boolean} xmlIDs
+ *  - Also use `xml:id` attributes for elements without an `id`
+ * @property {FilterOption} filter
+ *  - Elements to ignore, e.g. markup inserted by a reading system
+ * @property {OffsetUnit} offsetUnit
+ *  - Unit to count character offsets and assertion lengths in. Defaults to 'utf16'
+ * @property {TreeAdapter} adapter
+ *  - Access to the nodes of trees that are not a W3C DOM
+ */
+
+/**
+ * How a step of a CFI was resolved, when resolving with the `diagnostics` option
+ * 
+ * @typedef {object} StepDiagnostic
+ * @property {number} nodeIndex
+ * @property {Node} [node] - the node the step resolved to
+ * @property {string} [nodeID]
+ * @property {'matched' | 'mismatch' | 'missing' | 'ignored'} [id]
+ *  - Whether the node has the ID from the CFI, has another ID while the ID is
+ *    on another element, or no element has the ID. 'ignored' with `ignoreIDs`
+ * @property {boolean} [usedID] - the node was located by its ID instead of the indexes
+ * @property {boolean} [skipped] - the step was skipped because a later step was located by its ID
+ * @property {boolean} [parityMismatch] - an even index did not resolve to an element or an odd index to text
+ * @property {boolean} [virtualText] - the index points to the virtual text node before an element
+ * @property {'before' | 'after'} [relativeToNode]
+ * @property {{ requested: number; max: number }} [clampedIndex] - the index was past the position after the last child
+ * @property {{ requested: number; length: number }} [clampedOffset] - the offset was past the end of the text
+ * @property {'matched' | 'relocated' | 'approximate' | 'missing'} [assertion] - result of the Text Location Assertion
+ * @property {number} [distance] - how many characters the assertion moved the offset
+ * @property {number} [editDistance] - number of edits needed for an approximate match
+ * @property {'before' | 'after'} [sideBias]
+ */
+
+/**
+ * @typedef {object} ResolveConflict
+ * @property {{ nodeIndex: number; nodeID?: string; pathNode: Node; idNode: Element }[]} steps
+ *  - steps where the ID is on another element than the one at the index
+ * @property {CFIIndexedObject} byPath - location found by following the indexes
+ * @property {CFIIndexedObject} byID - location found by following the IDs
+ */
+
+/**
+ * @typedef {object} FuzzyOptions
+ * @property {number} maxDistance
+ *  - Maximum number of edits to the text before and after the location.
+ *    Defaults to a quarter of the length of the assertion
+ * @property {number} radius
+ *  - Maximum number of characters from the position given by the CFI to search
+ * @property {'block' | 'document'} scope
+ *  - Search the block element containing the location or the whole document
+ */
+
+/**
+ * @typedef {object} RootfileOptions
+ * @property {string} mediaType
+ *  - Media type of the rootfile. Defaults to 'application/oebps-package+xml'
+ * @property {Record<string, string> | ((rootfile: Element) => boolean)} rendition
+ *  - Rendition selection attributes to match, e.g. `{ layout: 'pre-paginated' }`
+ *    for `rendition:layout`, or a function returning true for the rootfile to use
+ */
+
+/**
+ * @typedef {object} NormalizeOptions
+ * @property {boolean} ignoreIDs
+ *  - Leave out node IDs
+ * @property {boolean} ignoreAssertions
+ *  - Leave out Text Location Assertions and parameters other than side bias
+ */
+
 /**
  * @typedef {object} Options
+ * @property {boolean} strict
+ *  - Reject any CFI that does not conform to the grammar in the EPUB CFI specification
  * @property {boolean} stricter
  *  - Strip temporal, spatial, offset and textLocationAssertion from places where they don't make sense
  * @property {boolean} flattenRange
  *  - If CFI is a Simple Range, pretend it isn't by parsing only the start of the range
  */
 
-class CFI {
+/**
+ * Serialize the parameters of a step, e.g. `;s=a;vnd.foo=bar`
+ * 
+ * @param {ParsedPiece} piece 
+ * @returns {string}
+ */
+function stringifyParameters(piece) {
+  let str = '';
+  if (piece.sideBias) {
+    str += ';s=' + (piece.sideBias === 'after' ? 'a' : 'b');
+  }
+  for (let name in piece.parameters) {
+    str += ';' + cfiEscape(name) + '=' + piece.parameters[name].map(cfiEscape).join(',');
+  }
+  return str;
+}
 
-  /**
-   * @param {string} str 
-   * @param {Partial<Options>} [opts]
-   */
-  constructor(str, opts) {
-    /** @type {Partial<Options>} */
-    this.opts = Object.assign({
-      // If CFI is a Simple Range, pretend it isn't
-      // by parsing only the start of the range
-      flattenRange: false,
-      // Strip temporal, spatial, offset and textLocationAssertion
-      // from places where they don't make sense
-      stricter: true
-    }, opts || {});
-    
-    /** @type {string} */
-    this.cfi = str;
-    const isCFI = new RegExp(/^epubcfi\((.*)\)$/);
+/**
+ * Serialize the contents of the square brackets following an offset,
+ * i.e. the Text Location Assertion and parameters, without the brackets.
+ * 
+ * @param {ParsedPiece} piece 
+ * @returns {string}
+ */
+function stringifyAssertion(piece) {
+  let str = '';
+  const assertion = piece.textLocationAssertion;
+  if (typeof assertion === 'string') {
+    str = cfiEscape(assertion);
+  } else if (assertion) {
+    str = cfiEscape(assertion.pre ?? '') + ',' + cfiEscape(assertion.post ?? '');
+  }
+  return str + stringifyParameters(piece);
+}
+
+/**
+ * Serialize a single parsed step, e.g. `/4[id]:5[pre,post]`
+ * 
+ * @param {ParsedPiece} piece 
+ * @returns {string}
+ */
+function stringifyPiece(piece) {
+  let str = '/' + piece.nodeIndex;
+  const hasOffset = (typeof piece.offset === 'number');
+  const hasTemporal = (typeof piece.temporal === 'number');
+
+  // Without an offset the parameters can only go in the ID brackets
+  if (!hasOffset && !hasTemporal && !piece.spatial) {
+    const params = stringifyParameters(piece);
+    if (piece.nodeID || params) {
+      str += '[' + cfiEscape(piece.nodeID ?? '') + params + ']';
+    }
+    return str;
+  }
+
+  if (piece.nodeID) str += '[' + cfiEscape(piece.nodeID) + ']';
+  if (hasOffset) str += ':' + piece.offset;
+  if (hasTemporal) str += '~' + piece.temporal;
+  if (piece.spatial) str += '@' + piece.spatial.x + ':' + piece.spatial.y;
+
+  const assertion = stringifyAssertion(piece);
+  if (assertion) str += '[' + assertion + ']';
+
+  return str;
+}
+
+/**
+ * Serialize a list of steps that make up a path within a single document
+ * 
+ * @param {ParsedPiece[]} part 
+ * @returns {string}
+ */
+function stringifyPart(part) {
+  return part.map(stringifyPiece).join('');
+}
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const RENDITION_NAMESPACE = 'http://www.idpf.org/2013/rendition';
+
+/**
+ * Get the `xml:id` of an element, if any
+ * 
+ * @param {Element} element 
+ * @returns {string | null}
+ */
+function getXmlID(element) {
+  return element.getAttributeNS ? element.getAttributeNS(XML_NAMESPACE, 'id') : null;
+}
+
+/**
+ * Find an element by ID, falling back to `xml:id`.
+ * Elements that are ignored by filter, or inside one that is, are not found.
+ * 
+ * @param {Doc} dom 
+ * @param {string} id 
+ * @param {FilterOption} [filter]
+ * @param {TreeAdapter} [tree]
+ * @returns {Element | null}
+ */
+function getElementByID(dom, id, filter, tree = DOM_ADAPTER) {
+  let element;
+  if (tree.getElementById) {
+    element = tree.getElementById(dom, id);
+  } else {
+    /** @param {Node} el */
+    const hasID = (el) => (tree.getAttribute(el, 'id') === id || tree.getAttribute(el, 'xml:id') === id);
+    element = /** @type {Element | null} */(findElement(dom, hasID, tree));
+  }
+
+  for (let node = /** @type {Node | null} */(element); filter && node; node = tree.parent(node)) {
+    if (isIgnored(node, filter, tree)) return null;
+  }
+  return element;
+}
+
+/**
+ * Check that no other element in the document of element has the same ID
+ * 
+ * @param {Element} element 
+ * @param {string} id 
+ * @param {boolean} [xmlIDs] - also check `xml:id` attributes
+ * @param {TreeAdapter} [tree]
+ * @returns {boolean}
+ */
+function isUniqueID(element, id, xmlIDs, tree = DOM_ADAPTER) {
+  let root = /** @type {Node} */(element);
+  let parent;
+  while ((parent = tree.parent(root))) root = parent;
+
+  let count = (root === element) ? 1 : 0;
+  /** @param {Node} el */
+  const isDuplicate = (el) => {
+    if (tree.getAttribute(el, 'id') === id || (xmlIDs && tree.getAttribute(el, 'xml:id') === id)) count++;
+    return (count > 1);
+  };
+  return !findElement(root, isDuplicate, tree);
+}
+
+/**
+ * Get the ID to add to the step for node, according to the `ids`
+ * and `xmlIDs` options.
+ * 
+ * @param {Node} node 
+ * @param {Partial<GenerateOptions>} [opts]
+ * @returns {string | undefined}
+ */
+function generateNodeID(node, opts) {
+  const tree = getAdapter(opts);
+  if (tree.nodeType(node) !== ELEMENT_NODE) return;
+  const element = /** @type {Element} */(node);
+
+  const ids = opts?.ids ?? 'all';
+  if (ids === 'none') return;
+
+  const id = tree.getAttribute(element, 'id') || (opts?.xmlIDs && tree.getAttribute(element, 'xml:id')) || undefined;
+  if (!id) return;
+
+  if (ids === 'unique' && !isUniqueID(element, id, opts?.xmlIDs, tree)) return;
+  if (typeof ids === 'function' && !ids(id, element)) return;
+
+  return id;
+}
+
+/**
+ * Calculate the steps from the root element of the document to node.
+ * If node is a text node and the `assertion` option is given, a Text Location
+ * Assertion with the surrounding text is added to the last step.
+ * 
+ * @param {Node} node 
+ * @param {number | null} [offset]
+ * @param {Partial<GenerateOptions>} [opts]
+ * @returns {ParsedPiece[]}
+ */
+function generatePieces(node, offset, opts) {
+  const filter = opts?.filter;
+  const tree = getAdapter(opts);
+  if (isIgnored(node, filter, tree)) throw new Error("Can not generate a CFI for an ignored element");
+  const unit = getOffsetUnit(opts);
+
+  /** @type {ParsedPiece[]} */
+  const pieces = [];
+  const isText = (tree.nodeType(node) === TEXT_NODE || tree.nodeType(node) === CDATA_SECTION_NODE);
+
+  // Paths are relative to the root element of the document (the 'html' element
+  // of a content document or the 'package' element of the package document)
+  // so we stop traversing when we reach it.
+  let parent;
+  while ((parent = getParent(node, filter, tree)) && tree.nodeType(parent) !== DOCUMENT_NODE) {
+    const siblings = getChildren(parent, filter, tree);
+    const o = calcSiblingCount(siblings, node, offset ?? undefined, tree);
+
+    /** @type {ParsedPiece} */
+    const piece = { nodeIndex: o.count };
+    const nodeId = generateNodeID(node, opts);
+    if (nodeId) piece.nodeID = nodeId;
+    if (!pieces.length) {
+      if (o.offset) piece.offset = o.offset;
+      if (isText && opts && (opts.assertion || opts.sideBias)) {
+        // Assertions and side bias must follow an explicit offset
+        piece.offset = o.offset ?? 0;
+        if (opts.assertion) {
+          const text = getTextRun(siblings, node, tree);
+          applyAssertion(piece, text, opts.assertion, unit);
+        }
+      }
+      if (isText && piece.offset && unit !== 'utf16') {
+        piece.offset = fromUTF16Offset(getTextRun(siblings, node, tree), piece.offset, unit);
+      }
+    }
+    pieces.unshift(piece);
     
-    str = str.trim();
-    let m = str.match(isCFI);
-    if (!m) throw new Error("Not a valid CFI");
-    if (m.length < 2) return; // Empty CFI
+    node = parent;
+  }
+
+  return pieces;
+}
+
+/**
+ * Calculate the steps to a DOM boundary point, i.e. a container and an offset
+ * as used by Range objects. If the container is an element the offset is an
+ * index into its child nodes and the boundary point is converted to a position
+ * in the (possibly virtual) CFI text node at that index.
+ * 
+ * @param {Node} container 
+ * @param {number} offset 
+ * @param {Partial<GenerateOptions>} [opts]
+ * @returns {ParsedPiece[]}
+ */
+function generateBoundaryPieces(container, offset, opts) {
+  const tree = getAdapter(opts);
+  if (tree.nodeType(container) !== ELEMENT_NODE) {
+    return generateTextPieces(container, offset, opts);
+  }
+
+  const filter = opts?.filter;
+  if (!filter) {
+    return generateGapPieces(container, tree.children(container), offset, opts);
+  }
+
+  // The offset is an index into the child nodes of the container, so find the
+  // matching index into the children as counted when ignoring elements. The
+  // container itself may be an ignored element.
+  const parent = isIgnored(container, filter, tree) ? getParent(container, filter, tree) : container;
+  if (!parent) throw new Error("Boundary point is not inside an element that is not ignored");
+  const children = getChildren(parent, filter, tree);
+  const next = tree.children(container)[offset];
+
+  /** @param {Node} node */
+  const isBefore = (node) => (next)
+    ? precedes(node, next, tree)
+    : (isAncestor(container, node, tree) || precedes(node, container, tree));
+
+  let index = 0;
+  while (index < children.length && isBefore(children[index])) index++;
+
+  return generateGapPieces(parent, children, index, opts);
+}
+
+/**
+ * Calculate the steps to a position in text. Boundary points in text always
+ * get an explicit offset, even if it is zero.
+ * 
+ * @param {Node} node 
+ * @param {number} offset 
+ * @param {Partial<GenerateOptions>} [opts]
+ * @returns {ParsedPiece[]}
+ */
+function generateTextPieces(node, offset, opts) {
+  const pieces = generatePieces(node, offset, opts);
+  const last = pieces[pieces.length - 1];
+  last.offset = last.offset ?? 0;
+  return pieces;
+}
+
+/**
+ * Calculate the steps to the position between two children of parent, i.e.
+ * before the child at index in children. The position is in the (possibly
+ * virtual) CFI text node at that index.
+ * 
+ * @param {Node} parent 
+ * @param {ArrayLike<Node>} children - children of parent as counted by the CFI standard
+ * @param {number} index 
+ * @param {Partial<GenerateOptions>} [opts]
+ * @returns {ParsedPiece[]}
+ */
+function generateGapPieces(parent, children, index, opts) {
+  const tree = getAdapter(opts);
+  /** @param {Node | undefined} node */
+  const isText = (node) => (!!node && (tree.nodeType(node) === TEXT_NODE || tree.nodeType(node) === CDATA_SECTION_NODE));
+  /** @param {Node | undefined} node */
+  const isCounted = (node) => (!!node && (tree.nodeType(node) === ELEMENT_NODE || isText(node)));
+
+  let next;
+  for (let i = index; i < children.length && !next; i++) {
+    if (isCounted(children[i])) next = children[i];
+  }
+  let prev;
+  for (let i = Math.min(index, children.length) - 1; i >= 0 && !prev; i--) {
+    if (isCounted(children[i])) prev = children[i];
+  }
+
+  if (next && isText(next)) {
+    return generateTextPieces(next, 0, opts);
+  }
+  if (prev && isText(prev)) {
+    return generateTextPieces(prev, tree.text(prev).length, opts);
+  }
+
+  // No text node at the boundary point so use the virtual text node
+  // that the CFI standard assumes between, before and after elements
+  let nodeIndex = 1;
+  if (next) {
+    nodeIndex = calcSiblingCount(children, next, undefined, tree).count - 1;
+  } else if (prev) {
+    nodeIndex = calcSiblingCount(children, prev, undefined, tree).count + 1;
+  }
+
+  const pieces = generatePieces(parent, undefined, opts);
+  pieces.push({ nodeIndex, offset: 0 });
+  return pieces;
+}
+
+/**
+ * Calculate the steps to the position immediately before or after a node.
+ * Before the first child and after the last child of an element the CFI
+ * standard has the virtual positions `/0` and N+2 (N being the index of
+ * the last child), which is what the resolver returns with `relativeToNode`.
+ * Between two children the position is in the (possibly virtual) text node
+ * between them.
+ * 
+ * @param {Node} node 
+ * @param {Partial<GenerateOptions>} opts
+ * @returns {ParsedPiece[]}
+ */
+function generateRelativePieces(node, opts) {
+  const relativeToNode = opts.relativeToNode;
+  if (relativeToNode !== 'before' && relativeToNode !== 'after') {
+    throw new Error("relativeToNode must be 'before' or 'after'");
+  }
+  if (opts.temporal !== undefined || opts.spatial !== undefined) {
+    throw new Error("relativeToNode can not be combined with temporal or spatial offsets");
+  }
+  const tree = getAdapter(opts);
+  if (isIgnored(node, opts.filter, tree)) {
+    throw new Error("Can not generate a CFI for an ignored element");
+  }
+
+  const parent = getParent(node, opts.filter, tree);
+  if (!parent || tree.nodeType(parent) === DOCUMENT_NODE) {
+    throw new Error("Can not generate a position " + relativeToNode + " the root node");
+  }
+
+  const children = getChildren(parent, opts.filter, tree);
+  /** @param {Node} n */
+  const isCounted = (n) => [ELEMENT_NODE, TEXT_NODE, CDATA_SECTION_NODE].includes(tree.nodeType(n));
+
+  let first, last;
+  for (let i = 0; i < children.length; i++) {
+    if (!isCounted(children[i])) continue;
+    if (!first) first = children[i];
+    last = children[i];
+  }
+
+  const index = Array.prototype.indexOf.call(children, node);
+  
+  if (relativeToNode === 'before') {
+    if (node !== first) return generateGapPieces(parent, children, index, opts);
+
+    const pieces = generatePieces(parent, undefined, opts);
+    pieces.push({ nodeIndex: 0 });
+    return pieces;
+  }
+
+  if (node !== last) return generateGapPieces(parent, children, index + 1, opts);
+
+  // The index after the last child is always even
+  const count = calcSiblingCount(children, node, undefined, tree).count;
+  const pieces = generatePieces(parent, undefined, opts);
+  pieces.push({ nodeIndex: count + ((count % 2) ? 1 : 2) });
+  return pieces;
+}
+
+/**
+ * Set a Text Location Assertion on a generated step using the text
+ * surrounding the step's offset.
+ * 
+ * @param {ParsedPiece} piece 
+ * @param {string} text - text of the CFI text node referenced by the step
+ * @param {{ before?: number; after?: number }} lengths - number of characters to include
+ * @param {OffsetUnit} [unit] - unit that lengths are counted in
+ */
+function applyAssertion(piece, text, lengths, unit) {
+  const before = lengths.before ?? 0;
+  const after = lengths.after ?? 0;
+  for (let n of [before, after]) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error("Assertion lengths must be non-negative integers");
+    }
+  }
+
+  const offset = piece.offset ?? 0;
+  const head = splitUnits(text.slice(0, offset), unit ?? 'utf16');
+  const pre = head.slice(Math.max(0, head.length - before)).join('');
+  const post = splitUnits(text.slice(offset), unit ?? 'utf16').slice(0, after).join('');
+  if (!pre && !post) return;
+
+  /** @type {TextLocalAssertion} */
+  const assertion = /** @type {TextLocalAssertion} */({});
+  if (pre) assertion.pre = pre;
+  if (post) assertion.post = post;
+  piece.textLocationAssertion = assertion;
+}
+
+/**
+ * Add the temporal and spatial offsets and parameters from the generator
+ * options to the last step of a generated path, checking that they are valid.
+ * 
+ * @param {ParsedPiece} piece 
+ * @param {Partial<GenerateOptions>} opts 
+ */
+function applyOptions(piece, opts) {
+  const { temporal, spatial, parameters, sideBias } = opts;
+
+  // Both belong to a character offset, e.g. `:5[pre,post;s=a]`
+  if ((sideBias !== undefined || opts.assertion) && typeof piece.offset !== 'number') {
+    throw new Error("Side bias and Text Location Assertions can only be generated for locations in text");
+  }
+
+  if (sideBias !== undefined) {
+    if (sideBias !== 'before' && sideBias !== 'after') {
+      throw new Error("Side bias must be 'before' or 'after'");
+    }
+    piece.sideBias = sideBias;
+  }
+
+  if (parameters) {
+    for (let name in parameters) {
+      if (!name || /\s/.test(name)) {
+        throw new Error("Invalid parameter name: '" + name + "'");
+      }
+      if (name === 's') {
+        throw new Error("Side bias can not be given as a parameter");
+      }
+      const value = parameters[name];
+      if (!piece.parameters) piece.parameters = {};
+      piece.parameters[name] = Array.isArray(value) ? value.map(String) : [String(value)];
+    }
+  }
+
+  if (temporal === undefined && spatial === undefined) return;
+
+  if (typeof piece.offset === 'number') {
+    throw new Error("Temporal and spatial offsets can not be combined with a character offset");
+  }
+
+  if (temporal !== undefined) {
+    if (typeof temporal !== 'number' || !isFinite(temporal) || temporal < 0) {
+      throw new Error("Temporal offset must be a non-negative number of seconds");
+    }
+    piece.temporal = temporal;
+  }
+
+  if (spatial !== undefined) {
+    for (let c of [spatial.x, spatial.y]) {
+      if (typeof c !== 'number' || !(c >= 0 && c <= 100)) {
+        throw new Error("Spatial coordinates must be numbers from 0 to 100");
+      }
+    }
+    piece.spatial = { x: spatial.x, y: spatial.y };
+  }
+}
+
+/**
+ * Get the box that the spatial offsets of an image or video are relative to:
+ * the viewBox of an SVG element, the position and size of an SVG image and
+ * the intrinsic size of other elements, falling back to their width and
+ * height attributes.
+ * 
+ * @param {Element} element 
+ * @returns {{ x: number; y: number; width: number; height: number }}
+ */
+function getMediaBox(element) {
+  const name = element.localName.toLowerCase();
+  /** @param {string} attr */
+  const getNumber = (attr) => parseFloat(element.getAttribute(attr) ?? '');
+
+  let box;
+  const viewBox = (element.getAttribute('viewBox') ?? '').trim().split(/[\s,]+/).map(parseFloat);
+  if (name === 'svg' && viewBox.length === 4 && viewBox.every(isFinite)) {
+    box = { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+  } else if (name === 'image') {
+    box = { x: getNumber('x') || 0, y: getNumber('y') || 0, width: getNumber('width'), height: getNumber('height') };
+  } else {
+    const media = /** @type {HTMLImageElement & HTMLVideoElement} */(element);
+    box = {
+      x: 0,
+      y: 0,
+      width: media.naturalWidth || media.videoWidth || getNumber('width'),
+      height: media.naturalHeight || media.videoHeight || getNumber('height')
+    };
+  }
+
+  if (!(box.width > 0 && box.height > 0)) {
+    throw new Error("Unknown size of <" + name + "> element");
+  }
+  return box;
+}
+
+/**
+ * @param {Node | null | undefined} node 
+ * @returns {node is HTMLMediaElement}
+ */
+function isMediaElement(node) {
+  if (!node || node.nodeType !== ELEMENT_NODE) return false;
+  const name = (/** @type {Element} */(node)).localName.toLowerCase();
+  return (name === 'audio' || name === 'video');
+}
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul'
+]);
+
+/**
+ * Sellers' algorithm for approximate string matching. For each position in
+ * text, get the smallest edit distance between pattern and any substring of
+ * text that ends at that position.
+ * 
+ * @param {string} pattern 
+ * @param {string} text 
+ * @returns {number[]} - text.length + 1 distances
+ */
+function approximateMatchDistances(pattern, text) {
+  const m = pattern.length;
+
+  // Only the previous column of the matrix is needed. The first row is all
+  // zeros since a match can start anywhere in text.
+  let prev = [];
+  for (let i = 0; i <= m; i++) prev[i] = i;
+
+  const distances = [prev[m]];
+  for (let j = 1; j <= text.length; j++) {
+    const cur = [0];
+    for (let i = 1; i <= m; i++) {
+      const cost = (pattern[i - 1] === text[j - 1]) ? 0 : 1;
+      cur[i] = Math.min(prev[i - 1] + cost, prev[i] + 1, cur[i - 1] + 1);
+    }
+    distances.push(cur[m]);
+    prev = cur;
+  }
+  return distances;
+}
+
+/**
+ * @param {string} str 
+ * @returns {string}
+ */
+function reverseString(str) {
+  return str.split('').reverse().join('');
+}
+
+/**
+ * Get all text and CDATA nodes inside root in document order
+ * 
+ * @param {Node} root 
+ * @param {TreeAdapter} tree 
+ * @returns {Node[]}
+ */
+function collectTextNodes(root, tree) {
+  /** @type {Node[]} */
+  const nodes = [];
+  /** @param {Node} node */
+  const walk = (node) => {
+    const children = tree.children(node);
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      const nodeType = tree.nodeType(child);
+      if (nodeType === TEXT_NODE || nodeType === CDATA_SECTION_NODE) {
+        nodes.push(child);
+      } else if (nodeType === ELEMENT_NODE) {
+        walk(child);
+      }
+    }
+  };
+  walk(root);
+  return nodes;
+}
+
+/**
+ * Find the position where the text before and after it best matches pre and
+ * post, allowing for edits. The cost of a position is the edit distance of
+ * the best match of pre ending there plus that of post starting there.
+ * 
+ * @param {Node} node - first text node of the CFI text node
+ * @param {number} offset - offset into the CFI text node
+ * @param {string} pre 
+ * @param {string} post 
+ * @param {true | Partial<FuzzyOptions>} fuzzy 
+ * @param {TreeAdapter} [tree]
+ * @returns {{ node: Node; offset: number; editDistance: number; distance: number; confidence: number } | null}
+ */
+function findApproximateMatch(node, offset, pre, post, fuzzy, tree = DOM_ADAPTER) {
+  const opts = (typeof fuzzy === 'object') ? fuzzy : {};
+  const scope = opts.scope ?? 'block';
+  if (scope !== 'block' && scope !== 'document') {
+    throw new Error("Fuzzy matching scope must be 'block' or 'document'");
+  }
+  const maxDistance = opts.maxDistance ?? Math.max(1, Math.floor((pre.length + post.length) / 4));
+  const radius = opts.radius ?? Infinity;
+
+  /** @param {Node} n */
+  const isBlock = (n) => (tree.nodeType(n) === ELEMENT_NODE && BLOCK_ELEMENTS.has(tree.tagName(n).replace(/^.*:/, '').toLowerCase()));
+
+  // The block element or, without one, the top of the tree
+  let root = tree.parent(node);
+  let parent;
+  while (root && (scope === 'document' || !isBlock(root)) && (parent = tree.parent(root))) {
+    root = parent;
+  }
+  if (!root) return null;
+
+  const textNodes = collectTextNodes(root, tree);
+  let text = '';
+  let expected = 0;
+  for (let n of textNodes) {
+    if (n === node) expected = text.length + offset;
+    text += tree.text(n);
+  }
+  expected = Math.min(expected, text.length);
+
+  // Only search within radius of the expected position
+  const from = Math.max(0, expected - radius);
+  const to = Math.min(text.length, expected + radius);
+  const start = Math.max(0, from - pre.length - maxDistance);
+  const end = Math.min(text.length, to + post.length + maxDistance);
+  const candidate = text.slice(start, end);
+
+  const preDistances = approximateMatchDistances(pre, candidate);
+  const postDistances = approximateMatchDistances(reverseString(post), reverseString(candidate));
+
+  let best = -1;
+  let bestCost = Infinity;
+  for (let o = from; o <= to; o++) {
+    const cost = preDistances[o - start] + postDistances[candidate.length - (o - start)];
+    if (cost < bestCost || (cost === bestCost && Math.abs(o - expected) < Math.abs(best - expected))) {
+      best = o;
+      bestCost = cost;
+    }
+  }
+  if (best < 0 || bestCost > maxDistance) return null;
+
+  // Find the text node at the matched position
+  let position = best;
+  for (let i = 0; i < textNodes.length; i++) {
+    const length = tree.text(textNodes[i]).length;
+    if (position < length || i === textNodes.length - 1) {
+      return {
+        node: textNodes[i],
+        offset: position,
+        editDistance: bestCost,
+        distance: best - expected,
+        confidence: 1 - bestCost / Math.max(1, pre.length + post.length)
+      };
+    }
+    position -= length;
+  }
+  return null;
+}
+
+/**
+ * Describe how a step was resolved to o, a child of parent, for the
+ * diagnostics report.
+ * 
+ * @param {Doc} dom 
+ * @param {Node} parent 
+ * @param {ParsedPiece} subpart 
+ * @param {CFIIndexedObject} o 
+ * @param {boolean} isLast - this is the last step of the path
+ * @param {Partial<{ ignoreIDs: boolean; filter: FilterOption; offsetUnit: OffsetUnit }>} [opts]
+ * @returns {StepDiagnostic}
+ */
+function diagnoseStep(dom, parent, subpart, o, isLast, opts) {
+  const tree = getAdapter(opts);
+  const index = subpart.nodeIndex;
+  const node = o.node;
+  const isElement = (tree.nodeType(node) === ELEMENT_NODE);
+
+  /** @type {StepDiagnostic} */
+  const diagnostic = { nodeIndex: index, node };
+
+  if (subpart.nodeID) {
+    diagnostic.nodeID = subpart.nodeID;
+    const element = /** @type {Element} */(node);
+    if (opts?.ignoreIDs) {
+      diagnostic.id = 'ignored';
+    } else if (isElement && (tree.getAttribute(element, 'id') === subpart.nodeID || tree.getAttribute(element, 'xml:id') === subpart.nodeID)) {
+      diagnostic.id = 'matched';
+    } else {
+      diagnostic.id = getElementByID(dom, subpart.nodeID, opts?.filter, tree) ? 'mismatch' : 'missing';
+    }
+  }
+
+  if (o.relativeToNode) diagnostic.relativeToNode = o.relativeToNode;
+
+  if (node !== parent) {
+    if (index % 2 === 0) {
+      if (!isElement && !o.relativeToNode) diagnostic.parityMismatch = true;
+    } else if (isElement) {
+      if (isLast) {
+        diagnostic.virtualText = true;
+      } else {
+        diagnostic.parityMismatch = true;
+      }
+    }
+  }
+
+  // The highest valid index is the one after the last child
+  const children = getChildren(parent, opts?.filter, tree);
+  let count = 0;
+  for (let i = children.length - 1; i >= 0; i--) {
+    const type = tree.nodeType(children[i]);
+    if (type === ELEMENT_NODE || type === TEXT_NODE || type === CDATA_SECTION_NODE) {
+      count = calcSiblingCount(children, children[i], undefined, tree).count;
+      break;
+    }
+  }
+  const max = count + ((count % 2) ? 1 : 2);
+  if (index > max) diagnostic.clampedIndex = { requested: index, max };
+
+  if (subpart.offset && index % 2 === 1 && !isElement && node !== parent) {
+    const length = countUnits(getTextRun(children, node, tree), getOffsetUnit(opts));
+    if (subpart.offset > length) diagnostic.clampedOffset = { requested: subpart.offset, length };
+  }
+
+  if (subpart.sideBias) diagnostic.sideBias = subpart.sideBias;
+
+  return diagnostic;
+}
+
+/**
+ * @typedef {{ startContainer: Node; startOffset: number; endContainer: Node; endOffset: number; collapsed: boolean }} StaticRangeLike
+ */
+
+/**
+ * Convert a resolved location to a DOM boundary point, i.e. a container and
+ * an offset as used by Range objects. Elements are included in ranges so the
+ * start of a range is before an element and the end is after it, unless the
+ * CFI pointed at the (virtual) text node before the element.
+ * Side bias moves a boundary point at the start or end of a text node into
+ * the adjacent text node on that side, if any.
+ * 
+ * @param {CFILocation} location 
+ * @param {Part1[]} parts - the parsed path that was resolved to location
+ * @param {boolean} isEnd 
+ * @param {TreeAdapter} [tree]
+ * @returns {{ container: Node; offset: number }}
+ */
+function getBoundaryPoint(location, parts, isEnd, tree = DOM_ADAPTER) {
+  const node = location.node;
+  const isText = (/** @type {Node | null | undefined} */ n) => (!!n && (tree.nodeType(n) === TEXT_NODE || tree.nodeType(n) === CDATA_SECTION_NODE));
+  const parent = tree.parent(node);
+  const siblings = (parent) ? tree.children(parent) : [node];
+  const index = Array.prototype.indexOf.call(siblings, node);
+
+  let relativeToNode = location.relativeToNode;
+  if (!relativeToNode && !isText(node)) {
+    const lastPart = parts[parts.length - 1];
+    const isTextStep = (lastPart[lastPart.length - 1].nodeIndex % 2 === 1);
+    // The virtual text node of an element without children resolves to the element
+    if (isTextStep) return { container: node, offset: 0 };
+    relativeToNode = (isEnd) ? 'after' : 'before';
+  }
+
+  if (relativeToNode) {
+    if (!parent) return { container: node, offset: 0 };
+    return { container: parent, offset: (relativeToNode === 'after') ? index + 1 : index };
+  }
+
+  const length = tree.text(node).length;
+  const offset = Math.min(location.offset ?? 0, length);
+
+  const prev = siblings[index - 1];
+  if (location.sideBias === 'before' && offset === 0 && isText(prev)) {
+    return { container: prev, offset: tree.text(prev).length };
+  }
+  const next = siblings[index + 1];
+  if (location.sideBias === 'after' && offset === length && isText(next)) {
+    return { container: next, offset: 0 };
+  }
+
+  return { container: node, offset };
+}
+
+/**
+ * Create a Range from two resolved boundary points. If the document can not
+ * create ranges a plain object with the same properties as a StaticRange
+ * is returned instead.
+ * 
+ * @param {Doc} dom 
+ * @param {{ container: Node; offset: number }} start 
+ * @param {{ container: Node; offset: number }} end 
+ * @returns {Range | StaticRangeLike}
+ */
+function createRange(dom, start, end) {
+  if (typeof dom.createRange !== 'function') {
+    return {
+      startContainer: start.container,
+      startOffset: start.offset,
+      endContainer: end.container,
+      endOffset: end.offset,
+      collapsed: (start.container === end.container && start.offset === end.offset)
+    };
+  }
+
+  const range = dom.createRange();
+  range.setStart(start.container, start.offset);
+  range.setEnd(end.container, end.offset);
+  return range;
+}
+
+/**
+ * @typedef {object} SourceToken
+ * @property {'open' | 'close' | 'text' | 'cdata' | 'comment' | 'pi' | 'doctype'} type
+ * @property {number} start - index of the first character in the source
+ * @property {number} end - index after the last character
+ * @property {boolean} [selfClosing] - an empty element tag like `<br/>`
+ */
+
+/**
+ * Get the index after str in source, or the end of source if it is missing
+ * 
+ * @param {string} source 
+ * @param {string} str 
+ * @param {number} from 
+ * @returns {number}
+ */
+function indexAfter(source, str, from) {
+  const i = source.indexOf(str, from);
+  return (i < 0) ? source.length : i + str.length;
+}
+
+/**
+ * Get the index after the '>' that ends the markup starting at start,
+ * skipping quoted attribute values and the internal subset of a doctype.
+ * 
+ * @param {string} source 
+ * @param {number} start 
+ * @returns {number}
+ */
+function findMarkupEnd(source, start) {
+  let quote = null;
+  let depth = 0;
+  for (let i = start + 1; i < source.length; i++) {
+    const c = source[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '[') {
+      depth++;
+    } else if (c === ']') {
+      depth--;
+    } else if (c === '>' && depth <= 0) {
+      return i + 1;
+    }
+  }
+  return source.length;
+}
+
+/**
+ * Split XML source into tags, text, CDATA sections, comments, processing
+ * instructions and doctypes, without building a tree. Markup that is not
+ * closed runs to the end of the source.
+ * 
+ * @param {string} source 
+ * @param {number} [start] - index to start scanning from
+ * @returns {Generator<SourceToken>}
+ */
+function* scanSource(source, start = 0) {
+  let i = start;
+  while (i < source.length) {
+    /** @type {SourceToken} */
+    let token;
+    if (source[i] !== '<') {
+      const end = source.indexOf('<', i);
+      token = { type: 'text', start: i, end: (end < 0) ? source.length : end };
+    } else if (source.startsWith('<!--', i)) {
+      token = { type: 'comment', start: i, end: indexAfter(source, '-->', i + 4) };
+    } else if (source.startsWith('<![CDATA[', i)) {
+      token = { type: 'cdata', start: i, end: indexAfter(source, ']]>', i + 9) };
+    } else if (source.startsWith('<?', i)) {
+      token = { type: 'pi', start: i, end: indexAfter(source, '?>', i + 2) };
+    } else if (source.startsWith('<!', i)) {
+      token = { type: 'doctype', start: i, end: findMarkupEnd(source, i) };
+    } else {
+      const end = findMarkupEnd(source, i);
+      token = { type: (source[i + 1] === '/') ? 'close' : 'open', start: i, end };
+      if (token.type === 'open' && source[end - 2] === '/') token.selfClosing = true;
+    }
+    yield token;
+    i = token.end;
+  }
+}
+
+/**
+ * Get the (decoded) value of an attribute of an element tag in the source
+ * 
+ * @param {string} source 
+ * @param {SourceToken} token 
+ * @param {string} name 
+ * @returns {string | null}
+ */
+function getSourceAttribute(source, token, name) {
+  const re = /\s([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  const tag = source.slice(token.start, token.end);
+  let m;
+  while ((m = re.exec(tag))) {
+    if (m[1] === name) return decodeEntities(m[2] ?? m[3]);
+  }
+  return null;
+}
+
+/**
+ * Text of a CFI text node in the source, i.e. of adjacent text and CDATA
+ * tokens, with the source index of every UTF-16 code unit of the text.
+ * 
+ * @typedef {object} SourceText
+ * @property {string} text - decoded text
+ * @property {number[]} positions - index in the source of each code unit of text
+ * @property {number} end - index in the source after the text
+ */
+
+/**
+ * Append the text of a text or CDATA token to a CFI text node. Character
+ * and entity references count as the characters they stand for.
+ * 
+ * @param {SourceText} run 
+ * @param {string} source 
+ * @param {SourceToken} token 
+ */
+function appendSourceText(run, source, token) {
+  if (token.type === 'cdata') {
+    const end = source.endsWith(']]>', token.end) ? token.end - 3 : token.end;
+    for (let i = token.start + 9; i < end; i++) {
+      run.text += source[i];
+      run.positions.push(i);
+    }
+    run.end = Math.max(token.start + 9, end);
+    return;
+  }
+
+  const ref = /&(?:#\d+|#[xX][0-9a-fA-F]+|[A-Za-z][A-Za-z0-9]*);/y;
+  let i = token.start;
+  while (i < token.end) {
+    ref.lastIndex = i;
+    const m = (source[i] === '&') ? ref.exec(source) : null;
+    const str = (m) ? decodeEntities(m[0]) : source[i];
+    for (let j = 0; j < str.length; j++) run.positions.push(i);
+    run.text += str;
+    i += (m) ? m[0].length : 1;
+  }
+  run.end = token.end;
+}
+
+/**
+ * Get the index after the end tag of the element whose start tag is token
+ * 
+ * @param {string} source 
+ * @param {SourceToken} token 
+ * @returns {number}
+ */
+function findSourceElementEnd(source, token) {
+  if (token.selfClosing) return token.end;
+  let depth = 1;
+  for (const t of scanSource(source, token.end)) {
+    if (t.type === 'open' && !t.selfClosing) depth++;
+    if (t.type === 'close' && --depth === 0) return t.end;
+  }
+  return source.length;
+}
+
+/**
+ * Get the range in the source of a location in a CFI text node, moving the
+ * offset to the closest match of the Text Location Assertion, if any.
+ * 
+ * @param {SourceText} run 
+ * @param {ParsedPiece} subpart 
+ * @param {OffsetUnit} unit 
+ * @returns {{ start: number; end: number }}
+ */
+function getSourceTextPoint(run, subpart, unit) {
+  let offset = Math.min(toUTF16Offset(run.text, subpart.offset ?? 0, unit), run.text.length);
+  if (subpart.textLocationAssertion) {
+    const { pre, post } = splitAssertion(subpart.textLocationAssertion, true);
+    const m = (pre || post) ? matchAssertion(run.text, pre, post) : [];
+    if (m.length) offset = /** @type {number} */(closest(m, offset));
+  }
+  const position = (offset < run.positions.length) ? run.positions[offset] : run.end;
+  return { start: position, end: position };
+}
+
+/**
+ * Find the child of the element with start tag parent at the index of a step,
+ * counting like `getChildNodeByCFIIndex()`. Returns the start tag of a child
+ * element or the range in the source of a location in a (virtual) text node,
+ * or null if the element has no child at the index.
+ * 
+ * @param {string} source 
+ * @param {SourceToken} parent 
+ * @param {ParsedPiece} subpart 
+ * @param {OffsetUnit} unit 
+ * @returns {SourceToken | { start: number; end: number } | null}
+ */
+function findSourceChild(source, parent, subpart, unit) {
+  const index = subpart.nodeIndex;
+  if (parent.selfClosing) return null;
+  if (index <= 0) return { start: parent.end, end: parent.end };
+
+  let count = 0;
+  let depth = 0;
+  /** @type {SourceText | null} */
+  let run = null;
+  for (const token of scanSource(source, parent.end)) {
+    if (depth > 0) {
+      if (token.type === 'open' && !token.selfClosing) depth++;
+      if (token.type === 'close') depth--;
+      continue;
+    }
+
+    switch (token.type) {
+    case 'text':
+    case 'cdata':
+      // Adjacent text and CDATA are one CFI text node
+      if (count % 2 === 0) count++;
+      if (count === index) {
+        if (!run) run = { text: '', positions: [], end: token.start };
+        appendSourceText(run, source, token);
+      }
+      break;
+    case 'open':
+      if (run) return getSourceTextPoint(run, subpart, unit);
+      count += (count % 2) ? 1 : 2;
+      if (count === index) return token;
+      // The index is the virtual text node before this element
+      if (count > index) return { start: token.start, end: token.start };
+      if (!token.selfClosing) depth++;
+      break;
+    case 'close':
+      if (run) return getSourceTextPoint(run, subpart, unit);
+      // The index is the virtual node after the last child, or does not exist
+      if (index > count + ((count % 2) ? 1 : 2)) return null;
+      return { start: token.start, end: token.start };
+    }
+  }
+
+  if (run) return getSourceTextPoint(run, subpart, unit);
+  if (index > count + ((count % 2) ? 1 : 2)) return null;
+  return { start: source.length, end: source.length };
+}
+
+/**
+ * Resolve the steps of a CFI part to a range in XML source. An element
+ * resolves to the range from the start of its start tag to the end of its
+ * end tag and a position in text to an empty range.
+ * 
+ * @param {string} source 
+ * @param {ParsedPiece[]} subparts 
+ * @param {Partial<ResolveOptions>} opts 
+ * @returns {{ start: number; end: number }}
+ */
+function resolveSourcePath(source, subparts, opts) {
+  const unit = getOffsetUnit(opts);
+
+  /** @type {SourceToken | null} */
+  let element = null;
+  for (const token of scanSource(source)) {
+    if (token.type === 'open') {
+      element = token;
+      break;
+    }
+  }
+  if (!element) throw new Error("No root element found in source");
+
+  // Start from the last step with an ID that is in the source. Like
+  // getElementByID() an `id` is looked up first and `xml:id` after that.
+  let startFrom = 0;
+  if (!opts.ignoreIDs && subparts.some((subpart) => subpart.nodeID)) {
+    /** @type {Map<string, SourceToken>} */
+    const ids = new Map();
+    /** @type {Map<string, SourceToken>} */
+    const xmlIDs = new Map();
+    for (const token of scanSource(source)) {
+      if (token.type !== 'open') continue;
+      const id = getSourceAttribute(source, token, 'id');
+      if (id && !ids.has(id)) ids.set(id, token);
+      const xmlID = getSourceAttribute(source, token, 'xml:id');
+      if (xmlID && !xmlIDs.has(xmlID)) xmlIDs.set(xmlID, token);
+    }
+    for (let i = subparts.length - 1; i >= 0; i--) {
+      const nodeID = subparts[i].nodeID;
+      const token = nodeID && (ids.get(nodeID) ?? xmlIDs.get(nodeID));
+      if (token) {
+        element = token;
+        startFrom = i + 1;
+        break;
+      }
+    }
+  }
+
+  for (let i = startFrom; i < subparts.length; i++) {
+    const found = findSourceChild(source, element, subparts[i], unit);
+    if (!found) {
+      throw new Error("Step " + (i + 1) + " of the CFI leads to a node that is not in the source");
+    }
+    if (!('type' in found)) {
+      if (i < subparts.length - 1) {
+        throw new Error("Step " + (i + 1) + " of the CFI does not lead to an element in the source");
+      }
+      return found;
+    }
+    element = found;
+  }
+
+  return { start: element.start, end: findSourceElementEnd(source, element) };
+}
+
+/**
+ * Calculate the steps to a position in XML source, counting like
+ * `calcSiblingCount()`. A position inside a start or end tag is the element
+ * and any other position is in the (possibly virtual) CFI text node there.
+ * 
+ * @param {string} source 
+ * @param {number} offset - index in the source
+ * @param {Partial<GenerateOptions>} opts 
+ * @returns {ParsedPiece[]}
+ */
+function generateSourcePieces(source, offset, opts) {
+  const unit = getOffsetUnit(opts);
+  const ids = opts.ids ?? 'all';
+  if (typeof ids === 'function') throw new Error("ids can not be a function when generating from source");
+
+  /** @type {Map<string, number>} */
+  const idCounts = new Map();
+  /** @param {SourceToken} token */
+  const getID = (token) => getSourceAttribute(source, token, 'id') || (opts.xmlIDs && getSourceAttribute(source, token, 'xml:id')) || undefined;
+  if (ids === 'unique') {
+    // Count the elements with an ID like isUniqueID()
+    for (const token of scanSource(source)) {
+      if (token.type !== 'open') continue;
+      const id = getSourceAttribute(source, token, 'id');
+      const xmlID = (opts.xmlIDs) ? getSourceAttribute(source, token, 'xml:id') : null;
+      for (const value of new Set([id, xmlID])) {
+        if (value) idCounts.set(value, (idCounts.get(value) ?? 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * The elements containing the offset, with the number of
+   * children counted so far and the step to the element
+   * @type {{ count: number; piece: ParsedPiece | null }[]}
+   */
+  const stack = [];
+  /** @type {SourceText | null} */
+  let run = null;
+  /** @type {{ pieces: ParsedPiece[]; index?: number; run?: SourceText } | null} */
+  let found = null;
+
+  /** @param {SourceToken} token */
+  const countElement = (token) => {
+    const top = stack[stack.length - 1];
+    top.count += (top.count % 2) ? 1 : 2;
+    /** @type {ParsedPiece} */
+    const piece = { nodeIndex: top.count };
+    const id = (ids === 'none') ? undefined : getID(token);
+    if (id && (ids !== 'unique' || idCounts.get(id) === 1)) piece.nodeID = id;
+    return piece;
+  };
+  const getPieces = () => /** @type {ParsedPiece[]} */(stack.slice(1).map((frame) => frame.piece));
+  const findText = () => {
+    const count = stack[stack.length - 1].count;
+    return { pieces: getPieces(), index: (count % 2) ? count : count + 1, run: run ?? { text: '', positions: [], end: offset } };
+  };
+
+  for (const token of scanSource(source)) {
+    const isText = (token.type === 'text' || token.type === 'cdata');
+
+    // Collect the rest of the text node for the assertion
+    if (found) {
+      if (isText) appendSourceText(/** @type {SourceText} */(found.run), source, token);
+      else if (token.type === 'open' || token.type === 'close') break;
+      continue;
+    }
+
+    // Outside of the root element
+    if (!stack.length) {
+      if (token.type === 'open' && offset >= token.end) {
+        stack.push({ count: 0, piece: null });
+      } else if (offset < token.end) {
+        break;
+      }
+      continue;
+    }
+
+    if (isText) {
+      if (!run) {
+        const top = stack[stack.length - 1];
+        if (top.count % 2 === 0) top.count++;
+        run = { text: '', positions: [], end: token.start };
+      }
+      appendSourceText(run, source, token);
+      if (offset < token.end) found = findText();
+    } else if (token.type === 'open' || token.type === 'close') {
+      if (offset === token.start) {
+        found = findText();
+        break;
+      }
+      run = null;
+      if (token.type === 'open') {
+        const piece = countElement(token);
+        if (offset < token.end) {
+          found = { pieces: getPieces().concat(piece) };
+          break;
+        }
+        if (!token.selfClosing) stack.push({ count: 0, piece });
+      } else {
+        // The end tag of the root element is outside of it, like its start tag
+        if (offset < token.end) {
+          if (stack.length > 1) found = { pieces: getPieces() };
+          break;
+        }
+        stack.pop();
+      }
+    } else if (offset < token.end) {
+      // A comment or processing instruction is skipped, like in the DOM
+      found = findText();
+    }
+  }
+
+  if (!found) {
+    throw new Error("Offset " + offset + " is not inside the root element of the source");
+  }
+
+  const pieces = found.pieces;
+  const textRun = found.run;
+  if (textRun) {
+    /** @type {ParsedPiece} */
+    const piece = { nodeIndex: /** @type {number} */(found.index), offset: textRun.positions.filter((position) => position < offset).length };
+    if (opts.assertion) applyAssertion(piece, textRun.text, opts.assertion, unit);
+    if (unit !== 'utf16') piece.offset = fromUTF16Offset(textRun.text, /** @type {number} */(piece.offset), unit);
+    pieces.push(piece);
+  }
+  return pieces;
+}
+
+class CFI {
+
+  /**
+   * @param {string} str 
+   * @param {Partial<Options>} [opts]
+   */
+  constructor(str, opts) {
+    /** @type {Partial<Options>} */
+    this.opts = Object.assign({
+      // If CFI is a Simple Range, pretend it isn't
+      // by parsing only the start of the range
+      flattenRange: false,
+      // Strip temporal, spatial, offset and textLocationAssertion
+      // from places where they don't make sense
+      stricter: true,
+      // Reject anything that does not conform to the grammar in the spec
+      strict: false
+    }, opts || {});
+    
+    /** @type {string} */
+    this.cfi = str;
+    const isCFI = new RegExp(/^epubcfi\((.*)\)$/);
+    const prefix = 'epubcfi(';
+    
+    // Position in this.cfi of the first character of the trimmed string
+    let pos = str.length - str.trimStart().length;
+
+    str = str.trim();
+    let m = str.match(isCFI);
+    if (!m) {
+      let i = 0;
+      while (i < prefix.length && str[i] === prefix[i]) i++;
+      throw new CFISyntaxError("Not a valid CFI", {
+        cfi: this.cfi,
+        index: pos + (i < prefix.length ? i : str.length),
+        state: null,
+        expected: [`'${i < prefix.length ? prefix[i] : ')'}'`]
+      });
+    }
+    if (this.opts.strict) {
+      validateStrict(this.cfi, pos + prefix.length, pos + str.length - 1);
+    }
+    if (m.length < 2) return; // Empty CFI
+
+    str = m[1];
+    pos += prefix.length;
+
+    /* @type {ParsedPiece | ParsedPiece[]}} */
+    /** @type {Part1[]} */
+    this.parts = [];
+
+    /** @type {ParsedPiece[]} */
+    let subParts = [];
+    let sawComma = 0;
+    while (str.length) {
+      //console.log('...', { subParts, sawComma, 'this.parts': JSON.stringify(this.parts), 'this.to': JSON.stringify(this.to), 'this.from': JSON.stringify(this.from), 'str(remaining)': `${JSON.stringify(str)}(${str.length})`, })
+      const { parsed, offset, newDoc } = this.parse(str, pos);
+      //console.log(`🚀 ~ file: index.js:258 ~ CFI ~ constructor ~ parse "${str.slice(0, offset)}" from '${str}':`, { parsed, offset, newDoc, });
+
+      if (!parsed || offset === null) throw new Error("Parsing failed");
+      if (sawComma && newDoc) {
+        throw new CFISyntaxError("CFI is a range that spans multiple documents. This is not allowed", {
+          cfi: this.cfi,
+          index: pos + offset - 1,
+          state: '!',
+          expected: ["'/'", "','", "')'"]
+        });
+      }
+      
+      subParts.push(parsed);
+
+      // Handle end of string
+      if (newDoc || str.length - offset <= 0) {
+        // Handle end if this was a range
+        if (sawComma === 2) {
+          /** @type {FromTo=} */
+          this.to = subParts;
+        } else { // not a range
+          this.parts.push(subParts);
+        }
+        subParts = [];
+      }
+      
+      str = str.slice(offset);
+      pos += offset;
+      
+      // Handle Simple Ranges
+      if (str[0] === ',') {
+        if (sawComma === 0) {
+          if (subParts.length) {
+            this.parts.push(subParts);
+          }
+          subParts = [];
+        } else if (sawComma === 1) {
+          if (subParts.length) {
+            /** @type {FromTo=} */
+            this.from = subParts;
+          }
+          subParts = [];
+        }
+        str = str.slice(1);
+        pos++;
+        sawComma++;
+      }
+    }
+
+    if (Array.isArray(this.from)) {
+      if (this.opts.flattenRange || !Array.isArray(this.to)) {
+        const last = this.parts.length - 1;
+        this.parts[last] = this.parts[last].concat(this.from);
+        delete this.from;
+        delete this.to;
+      } else {
+        /** @type {boolean} */
+        this.isRange = true;
+      }
+    }
+
+    if (this.opts.stricter) {
+      this.removeIllegalOpts();
+    }
+  }
+
+  /**
+   * Strip temporal, spatial, offset and textLocationAssertion
+   * from places where they don't make sense.
+   * 
+   * @param {Part1[] | undefined} partsArg
+   * @returns 
+   */
+  removeIllegalOpts(partsArg = undefined) {
+    /** @type {Part1[]} */
+    let parts;
+    if (partsArg) {
+      parts = partsArg;
+    } else {
+      if (this.from) {
+        this.removeIllegalOpts(this.from);
+        if (!this.to) return;
+        parts = this.to;
+      } else {
+        parts = this.parts;
+      }
+    }
+
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      for (let j=0; j < part.length - 1; j++) {
+        const subpart = part[j];
+        delete subpart.temporal;
+        delete subpart.spatial;
+        delete subpart.offset;
+        delete subpart.textLocationAssertion;
+      }
+    }
+  }
+
+  /**
+   * 
+   * @param {Node} node 
+   * @param {number | null} [offset]
+   * @param {string} [extra]
+   * @returns {string}
+   */
+  static generatePart(node, offset, extra) {
+    return stringifyPart(generatePieces(node, offset));
+  }
+  
+  /**
+   * Generate CFI string from node and offset. With an array of nodes and
+   * offsets there is no `offset` argument, i.e. `generate(array, extra, opts)`.
+   * 
+   * @param {Node | { node: Node, offset?: number }[]} node 
+   * @param {number | null | string} [offset]
+   * @param {string | null | Partial<GenerateOptions>} [extra] - appended at the end of the CFI
+   * @param {Partial<GenerateOptions>} [opts]
+   * @returns {string}
+   */
+  static generate(node, offset, extra, opts) {
+    if (node instanceof Array) {
+      opts = /** @type {Partial<GenerateOptions> | undefined} */(extra);
+      extra = /** @type {string | null | undefined} */(offset);
+      offset = undefined;
+    }
+    opts = opts || {};
+
+    const ids = opts.ids;
+    if (ids !== undefined && typeof ids !== 'function' && ids !== 'all' && ids !== 'none' && ids !== 'unique') {
+      throw new Error("ids must be 'all', 'none', 'unique' or a function");
+    }
+
+    /** @type {ParsedPiece[][]} */
+    let parts;
+
+    /**
+     * Options only apply to the last node, except for those that
+     * affect how the path is generated
+     * @param {Node} n 
+     * @param {number | null} [o] 
+     */
+    const lastPieces = (n, o) => (opts.relativeToNode) ? generateRelativePieces(n, opts) : generatePieces(n, o, opts);
+    const pathOpts = { ids: opts.ids, xmlIDs: opts.xmlIDs, filter: opts.filter };
+
+    if (node instanceof Array) {
+      parts = node.map((o, i) => (i === node.length - 1) ? lastPieces(o.node, o.offset) : generatePieces(o.node, o.offset, pathOpts));
+    } else {
+      parts = [lastPieces(node, /** @type {number | null | undefined} */(offset))];
+    }
+
+    const lastPart = parts[parts.length - 1];
+    if (lastPart.length) {
+      applyOptions(lastPart[lastPart.length - 1], opts);
+    }
+
+    let cfi = parts.map(stringifyPart).join('!');
+    if (extra) cfi += extra;
+    
+    return `epubcfi(${cfi})`;
+  }
+
+  /**
+   * Generate a CFI for a location in a content document that starts at the
+   * package document, e.g. `epubcfi(/6/4[chap01ref]!/4/10/3:5)`.
+   * The spine itemref for the content document is found by looking up
+   * `contentHref` in the manifest.
+   * 
+   * If the `packagePath` option is given, `contentHref` is instead relative to
+   * the root of the publication, like the path of the package document.
+   * 
+   * @param {Doc} opfDoc - the package document
+   * @param {string} contentHref - href of the content document, relative to the package document
+   * @param {Node} node 
+   * @param {number | null} [offset]
+   * @param {Partial<GenerateOptions & { packagePath: string }>} [opts]
+   * @returns {string}
+   */
+  static generateForPublication(opfDoc, contentHref, node, offset, opts) {
+    const href = normalizePath(contentHref);
+    const packagePath = opts?.packagePath;
+
+    let item;
+    for (let el of opfDoc.querySelectorAll('manifest > item')) {
+      const itemHref = el.getAttribute('href') ?? '';
+      if (normalizePath(packagePath ? resolveRelativeURI(itemHref, packagePath) : itemHref) === href) {
+        item = el;
+        break;
+      }
+    }
+    if (!item) throw new Error("No manifest item found for href: " + contentHref);
+
+    const id = item.getAttribute('id');
+    let itemref;
+    for (let el of opfDoc.querySelectorAll('spine > itemref')) {
+      if (id && el.getAttribute('idref') === id) {
+        itemref = el;
+        break;
+      }
+    }
+    if (!itemref) throw new Error("Manifest item is not referenced from the spine: " + contentHref);
+
+    return this.generate([
+      { node: itemref },
+      { node, offset: offset ?? undefined }
+    ], null, opts);
+  }
+
+  /**
+   * Generate a CFI for a location in a content document, starting at the root
+   * of the publication. The package document is found using
+   * `META-INF/container.xml` and both are retrieved using fetchCB.
+   * 
+   * @param {(uri: string) => Promise<Doc | null>} fetchCB 
+   * @param {string} contentPath - path of the content document, relative to the root of the publication
+   * @param {Node} node 
+   * @param {number | null} [offset]
+   * @param {Partial<GenerateOptions & RootfileOptions & { root: string }>} [opts]
+   * @returns {Promise<string>}
+   */
+  static async generateFromRoot(fetchCB, contentPath, node, offset, opts) {
+    const { packagePath, packageURI } = await findPackage(fetchCB, opts);
+
+    const opfDoc = await fetchCB(packageURI);
+    if (!opfDoc) throw new Error("Failed to get package document: " + packageURI);
+
+    return this.generateForPublication(opfDoc, contentPath, node, offset, Object.assign({}, opts, { packagePath }));
+  }
+
+  /**
+   * Get the path of the package document from the container document
+   * (`META-INF/container.xml`). By default the first rootfile, which is the
+   * default rendition, with the media type of a package document is used.
+   * 
+   * @param {Doc} containerDoc 
+   * @param {Partial<RootfileOptions>} [opts]
+   * @returns {string} path of the package document, relative to the root of the publication
+   */
+  static findRootfile(containerDoc, opts) {
+    const mediaType = opts?.mediaType ?? 'application/oebps-package+xml';
+    const rendition = opts?.rendition;
+
+    for (let el of containerDoc.querySelectorAll('rootfiles > rootfile')) {
+      if (el.getAttribute('media-type') !== mediaType) continue;
+
+      if (typeof rendition === 'function') {
+        if (!rendition(el)) continue;
+      } else if (rendition) {
+        const matches = Object.entries(rendition).every(([name, value]) => el.getAttributeNS(RENDITION_NAMESPACE, name) === value);
+        if (!matches) continue;
+      }
+
+      const fullPath = el.getAttribute('full-path');
+      if (!fullPath) throw new Error("rootfile element is missing 'full-path' attribute");
+      return fullPath;
+    }
+
+    throw new Error("No matching rootfile found in container");
+  }
+
+  /**
+   * Generate a CFI with a spatial offset from a point on an image or video,
+   * e.g. where it was clicked. The point is in the same coordinates as
+   * `getBoundingClientRect()`, like the `clientX` and `clientY` of a mouse
+   * event.
+   * 
+   * @param {Element} element 
+   * @param {number} clientX 
+   * @param {number} clientY 
+   * @param {Partial<GenerateOptions>} [opts]
+   * @returns {string}
+   */
+  static generateFromPoint(element, clientX, clientY, opts) {
+    const rect = element.getBoundingClientRect();
+    if (!rect.width || !rect.height) throw new Error("Element has no size");
+
+    /** @param {number} n */
+    const toPercent = (n) => Math.min(100, Math.max(0, Math.round(n * 10000) / 100));
+    const spatial = {
+      x: toPercent((clientX - rect.left) / rect.width),
+      y: toPercent((clientY - rect.top) / rect.height)
+    };
+    return CFI.generate(element, null, null, Object.assign({}, opts, { spatial }));
+  }
+
+  /**
+   * Generate a CFI with a temporal offset at the current playback
+   * position of an audio or video element.
+   * 
+   * @param {HTMLMediaElement} media 
+   * @param {Partial<GenerateOptions>} [opts]
+   * @returns {string}
+   */
+  static generateFromMedia(media, opts) {
+    if (!isMediaElement(media)) throw new Error("Not an audio or video element");
+    const temporal = Math.round(media.currentTime * 1000) / 1000;
+    return CFI.generate(media, null, null, Object.assign({}, opts, { temporal }));
+  }
 
-    str = m[1];
+  /**
+   * Generate a CFI for a character index in the XML source of a content
+   * document, e.g. of a hit found by searching the raw XHTML, without parsing
+   * it into a tree. An index inside a start or end tag gives the element and
+   * any other index a location in the text there.
+   * The path is relative to the root element of the source, like `generate()`.
+   * 
+   * @param {string} source - well-formed XML, e.g. XHTML
+   * @param {number} offset - index into source
+   * @param {Partial<Pick<GenerateOptions, 'assertion' | 'sideBias' | 'parameters' | 'ids' | 'xmlIDs' | 'offsetUnit'>>} [opts]
+   *  - `ids` can not be a function
+   * @returns {string}
+   */
+  static generateFromSource(source, offset, opts) {
+    opts = opts || {};
+    if (!Number.isInteger(offset) || offset < 0 || offset > source.length) {
+      throw new Error("Offset must be an index into the source");
+    }
 
-    /* @type {ParsedPiece | ParsedPiece[]}} */
-    /** @type {Part1[]} */
-    this.parts = [];
+    const pieces = generateSourcePieces(source, offset, opts);
+    if (pieces.length) applyOptions(pieces[pieces.length - 1], opts);
+    return `epubcfi(${stringifyPart(pieces)})`;
+  }
 
-    /** @type {ParsedPiece[]} */
-    let subParts = [];
-    let sawComma = 0;
-    while (str.length) {
-      //console.log('...', { subParts, sawComma, 'this.parts': JSON.stringify(this.parts), 'this.to': JSON.stringify(this.to), 'this.from': JSON.stringify(this.from), 'str(remaining)': `${JSON.stringify(str)}(${str.length})`, })
-      const { parsed, offset, newDoc } = this.parse(str);
-      //console.log(`🚀 ~ file: index.js:258 ~ CFI ~ constructor ~ parse "${str.slice(0, offset)}" from '${str}':`, { parsed, offset, newDoc, });
+  /**
+   * Generate a range CFI from a DOM Range, or from a start and end boundary point.
+   * Boundary points in element containers, where the offset is a child index
+   * rather than a character offset, are supported.
+   * 
+   * @param {AbstractRange | { node: Node, offset?: number }} rangeOrStart 
+   * @param {{ node: Node, offset?: number } | Partial<GenerateOptions>} [end] 
+   * @param {Partial<GenerateOptions>} [opts] 
+   * @returns {string}
+   */
+  static generateRange(rangeOrStart, end, opts) {
+    let start;
+    if ('startContainer' in rangeOrStart) {
+      opts = /** @type {Partial<GenerateOptions> | undefined} */(end);
+      start = { node: rangeOrStart.startContainer, offset: rangeOrStart.startOffset };
+      end = { node: rangeOrStart.endContainer, offset: rangeOrStart.endOffset };
+    } else {
+      start = rangeOrStart;
+    }
+    if (!end || !('node' in end)) throw new Error("Missing end of range");
+    opts = opts || {};
 
-      if (!parsed || offset === null) throw new Error("Parsing failed");
-      if (sawComma && newDoc) throw new Error("CFI is a range that spans multiple documents. This is not allowed");
-      
-      subParts.push(parsed);
+    const from = generateBoundaryPieces(start.node, start.offset ?? 0, opts);
+    const to = generateBoundaryPieces(end.node, end.offset ?? 0, opts);
+    applyOptions(from[from.length - 1], opts);
+    applyOptions(to[to.length - 1], opts);
 
-      // Handle end of string
-      if (newDoc || str.length - offset <= 0) {
-        // Handle end if this was a range
-        if (sawComma === 2) {
-          /** @type {FromTo=} */
-          this.to = subParts;
-        } else { // not a range
-          this.parts.push(subParts);
-        }
-        subParts = [];
-      }
-      
-      str = str.slice(offset);
-      
-      // Handle Simple Ranges
-      if (str[0] === ',') {
-        if (sawComma === 0) {
-          if (subParts.length) {
-            this.parts.push(subParts);
-          }
-          subParts = [];
-        } else if (sawComma === 1) {
-          if (subParts.length) {
-            /** @type {FromTo=} */
-            this.from = subParts;
-          }
-          subParts = [];
-        }
-        str = str.slice(1);
-        sawComma++;
-      }
+    return this.stringify({ from: [from], to: [to], isRange: true });
+  }
+
+  /**
+   * Serialize parsed CFI data, as returned by `.get()`, to a CFI string.
+   * For ranges the longest common path of `from` and `to` is used as the base.
+   * 
+   * @param {Part1[] | { from: GetFromTo; to: GetFromTo; isRange: true }} parsed 
+   * @returns {string}
+   */
+  static stringify(parsed) {
+    if (Array.isArray(parsed)) {
+      return `epubcfi(${parsed.map(stringifyPart).join('!')})`;
     }
 
-    if (Array.isArray(this.from)) {
-      if (this.opts.flattenRange || !Array.isArray(this.to)) {
-        this.parts = this.parts.concat(this.from);
-        delete this.from;
-        delete this.to;
-      } else {
-        /** @type {boolean} */
-        this.isRange = true;
+    const { from, to } = parsed;
+    const last = from.length - 1;
+    if (!from.length || from.length !== to.length) {
+      throw new Error("Range start and end must be in the same document");
+    }
+    for (let i = 0; i < last; i++) {
+      if (stringifyPart(from[i]) !== stringifyPart(to[i])) {
+        throw new Error("Range start and end must be in the same document");
       }
     }
 
-    if (this.opts.stricter) {
-      this.removeIllegalOpts();
+    // Both the start and the end must keep at least one step
+    const max = Math.min(from[last].length, to[last].length) - 1;
+    let common = 0;
+    while (common < max
+           && stringifyPiece(from[last][common]) === stringifyPiece(to[last][common])) {
+      common++;
     }
+    if (!common) throw new Error("Range start and end have no common path");
+
+    const base = from.slice(0, last).concat([from[last].slice(0, common)]);
+    return 'epubcfi('
+      + base.map(stringifyPart).join('!')
+      + ',' + stringifyPart(from[last].slice(common))
+      + ',' + stringifyPart(to[last].slice(common))
+      + ')';
   }
 
   /**
-   * Strip temporal, spatial, offset and textLocationAssertion
-   * from places where they don't make sense.
+   * Start building a CFI programmatically, e.g:
+   * `CFI.builder().step(6).step(4, 'chap01ref').indirect().step(4).step(3).offset(5).build()`
    * 
-   * @param {Part1[] | undefined} partsArg
-   * @returns 
+   * @returns {CFIBuilder}
    */
-  removeIllegalOpts(partsArg = undefined) {
-    /** @type {Part1[]} */
-    let parts;
-    if (partsArg) {
-      parts = partsArg;
+  static builder() {
+    return new CFIBuilder();
+  }
+
+  /**
+   * Extract and parse the CFI from the fragment of a URL or relative href,
+   * e.g. `chapter.xhtml#epubcfi(/4/2/3:5)`.
+   * 
+   * @param {string} url 
+   * @param {Partial<Options>} [opts] - passed on to the constructor
+   * @returns {{ cfi: CFI; uri: string }} `uri` is the part of `url` before the fragment
+   */
+  static fromURL(url, opts) {
+    let start = url.indexOf('#epubcfi(');
+    let uri = '';
+    if (start >= 0) {
+      uri = url.slice(0, start);
+      start++;
+    } else if (url.trim().startsWith('epubcfi(')) {
+      start = 0;
     } else {
-      if (this.from) {
-        this.removeIllegalOpts(this.from);
-        if (!this.to) return;
-        parts = this.to;
-      } else {
-        parts = this.parts;
-      }
+      throw new Error("No CFI found in URL: " + url);
     }
 
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
-      for (let j=0; j < part.length - 1; j++) {
-        const subpart = part[j];
-        delete subpart.temporal;
-        delete subpart.spatial;
-        delete subpart.offset;
-        delete subpart.textLocationAssertion;
-      }
-    }
+    return {
+      cfi: new CFI(percentDecode(url.slice(start)), opts),
+      uri
+    };
   }
 
   /**
+   * Build a link to the location referenced by this CFI, with the CFI
+   * percent-encoded as required for use in a URL fragment.
    * 
-   * @param {Node} node 
-   * @param {number} [offset]
-   * @param {string} [extra]
+   * @param {string} [base] - URL or href of the document, any existing fragment is replaced
    * @returns {string}
    */
-  static generatePart(node, offset, extra) {
-    let cfi = '';
+  toURL(base) {
+    base = (base || '').replace(/#.*$/, '');
+    return base + '#' + encodeURI(this.toString()).replace(/#/g, '%23');
+  }
+
+  /**
+   * Produce the canonical string form of a CFI. Escaping is made canonical,
+   * empty assertions are dropped and ranges use the longest common base.
+   * IDs, Text Location Assertions and parameters are kept unless `ignoreIDs`
+   * or `ignoreAssertions` is set.
+   * 
+   * @param {string | CFI} cfi 
+   * @param {Partial<NormalizeOptions>} [opts]
+   * @returns {string}
+   */
+  static normalize(cfi, opts) {
+    opts = Object.assign({ ignoreIDs: false, ignoreAssertions: false }, opts || {});
+    const instance = typeof cfi === 'string' ? new CFI(cfi) : cfi;
 
-    // The leading path of CFI corresponding to the 'spine' element must be relative 
-    // to the ancestor 'package' element. If this is a spine child element, we need
-    // to stop traversing when we reach the 'package' node.  
-    let isSpineElement = node.parentNode?.nodeName === 'spine' ? true : false;
+    const parsed = instance.get();
+    const parts = Array.isArray(parsed) ? parsed : parsed.from.concat(parsed.to);
 
-    while (node.parentNode) {
-      const o = calcSiblingCount(node.parentNode.childNodes, node, offset);
-      if (!cfi && o.offset) cfi = ':' + o.offset;
-      
-      const nodeId = (/** @type {Element} */(node)).id;
-      cfi = '/' + o.count + (nodeId ? `[${cfiEscape(nodeId)}]` : '') + cfi;
-      
-      node = node.parentNode;
+    for (let part of parts) {
+      for (let piece of part) {
+        if (opts.ignoreIDs || !piece.nodeID) {
+          delete piece.nodeID;
+        }
 
-      if (isSpineElement && node.nodeName === 'package'){
-        break;
+        if (opts.ignoreAssertions) {
+          delete piece.parameters;
+        }
+
+        const assertion = piece.textLocationAssertion;
+        if (opts.ignoreAssertions
+            || !assertion
+            || (typeof assertion === 'object' && !assertion.pre && !assertion.post)) {
+          delete piece.textLocationAssertion;
+        }
       }
     }
-    
-    return cfi;
+
+    return this.stringify(parsed);
   }
-  
+
   /**
-   * Generate CFI string from node and offset.
+   * Check if two CFIs reference the same location. By default node IDs and
+   * Text Location Assertions are not taken into account.
+   * 
+   * @param {string | CFI} a 
+   * @param {string | CFI} b 
+   * @param {Partial<NormalizeOptions>} [opts]
+   * @returns {boolean}
+   */
+  static equals(a, b, opts) {
+    opts = Object.assign({ ignoreIDs: true, ignoreAssertions: true }, opts || {});
+    return this.normalize(a, opts) === this.normalize(b, opts);
+  }
+
+  /**
+   * A string that is identical for all CFIs referencing the same location,
+   * e.g. for use as a Map key. Same as the comparison done by `CFI.equals()`.
    * 
-   * @param {Node | { node: Node, offset?: number }[]} node 
-   * @param {number} [offset]
-   * @param {string} [extra]
    * @returns {string}
    */
-  static generate(node, offset, extra) {
-    /** @type {string} */
-    let cfi;
-    
-    if (node instanceof Array) {
-      let strs = [];
-      for (let o of node) {
-        strs.push(this.generatePart(o.node, o.offset));
-      }
-      cfi = strs.join('!');
-    } else {
-      cfi = this.generatePart(node, offset, extra);
-    }
+  key() {
+    return CFI.normalize(this, { ignoreIDs: true, ignoreAssertions: true });
+  }
 
-    if (extra) cfi += extra;
-    
-    return `epubcfi(${cfi})`;
+  /**
+   * Serialize this CFI to a string. Unlike the string given to the constructor,
+   * the output is canonically escaped and contains only what the parser kept.
+   * 
+   * @returns {string}
+   */
+  toString() {
+    let str = this.parts.map(stringifyPart).join('!');
+    if (this.isRange) {
+      str += ',' + stringifyPart(/** @type {ParsedPiece[]} */(this.from))
+        + ',' + stringifyPart(/** @type {ParsedPiece[]} */(this.to));
+    }
+    return `epubcfi(${str})`;
   }
 
   /**
@@ -549,30 +3046,27 @@ class CFI {
   }
   
   /**
-   * @param {Doc} dom 
+   * Decode HTML/XML character and entity references. This does not use
+   * the DOM so it also works for XML documents.
+   * 
+   * @param {Doc | null} dom - not used
    * @param {string} str 
    * @returns {string}
    */
   decodeEntities(dom, str) {
-    try {
-      const el = dom.createElement('textarea');
-      el.innerHTML = str;
-      return el.value
-    } catch(err) {
-      // TODO fall back to simpler decode?
-      // e.g. regex match for stuff like &#160; and &nbsp;
-      return str; 
-    }
+    return decodeEntities(str);
   }
   
   /**
-   * decode HTML/XML entities and compute length
-   * @param {Doc} dom 
+   * Compute the length of text from a document. The text of a DOM has no
+   * entity references left to decode, so `&amp;` in it is five characters.
+   * @param {Doc | null} dom - not used
    * @param {string} str 
+   * @param {OffsetUnit} [unit] - unit to count the length in, UTF-16 code units by default
    * @returns {number}
    */
-  trueLength(dom, str) {
-    return this.decodeEntities(dom, str).length;
+  trueLength(dom, str, unit) {
+    return countUnits(str, unit ?? 'utf16');
   }
   
   /**
@@ -619,49 +3113,53 @@ class CFI {
   }
   
   /**
-   * @param {Pick<ParsedPiece, 'textLocationAssertion' | 'sideBias'>} o 
+   * @param {Pick<ParsedPiece, 'textLocationAssertion'>} o 
    * @param {string | null} loc 
    */
-  parseSideBias(o, loc) {
+  parseAssertionText(o, loc) {
     if (!loc) return;
 
-    const m = loc.trim().match(/^(.*);s=([ba])$/);
-    if (!m || m.length < 3) {
-      if (typeof o.textLocationAssertion === 'object') {
-        o.textLocationAssertion.post = loc;
-      } else {
-        o.textLocationAssertion = loc;
-      }
-      return;
-    }
-    if (m[1]) {
-      if (typeof o.textLocationAssertion === 'object') {
-        o.textLocationAssertion.post = m[1];
-      } else {
-        o.textLocationAssertion = m[1];
-      }
-    }
-    
-    if (m[2] === 'a') {
-      o.sideBias = 'after';
+    if (typeof o.textLocationAssertion === 'object') {
+      o.textLocationAssertion.post = loc;
     } else {
-      o.sideBias = 'before';
+      o.textLocationAssertion = loc;
+    }
+  }
+
+  /**
+   * Handle a `;name=value` parameter from inside square brackets.
+   * Side bias (`;s=a` or `;s=b`) is stored as `.sideBias`,
+   * everything else goes in the `.parameters` map.
+   * 
+   * @param {Pick<ParsedPiece, 'sideBias' | 'parameters'>} o 
+   * @param {string} name 
+   * @param {string[]} values 
+   */
+  parseParameter(o, name, values) {
+    if (name === 's' && values.length === 1 && (values[0] === 'a' || values[0] === 'b')) {
+      o.sideBias = (values[0] === 'a') ? 'after' : 'before';
+      return;
     }
+
+    if (!o.parameters) o.parameters = {};
+    o.parameters[name] = values;
   }
   
   /**
+   * Parse spatial coordinates like `33.5:50`, which are percentages from 0 to 100
+   * 
    * @param {string} range 
-   * @returns {{x: number; y: number} | undefined}
+   * @returns {{x: number; y: number} | undefined} - undefined if malformed or out of range
    */
   parseSpatialRange(range) {
     if (!range) return undefined;
-    const m = range.trim().match(/^([\d\.]+):([\d\.]+)$/);
-    if (!m || m.length < 3) return undefined;
+    const m = range.trim().match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+    if (!m) return undefined;
     const o = {
-      x: parseInt(m[1]),
-      y: parseInt(m[2]),
+      x: parseFloat(m[1]),
+      y: parseFloat(m[2]),
     };
-    if (typeof o.x !== 'number' || typeof o.y !== 'number') {
+    if (o.x > 100 || o.y > 100) {
       return undefined;
     }
     return o;
@@ -669,9 +3167,10 @@ class CFI {
   
   /**
    * @param {string} cfi 
+   * @param {number} [start] - position of `cfi` in the full CFI string, used for error reporting
    * @returns {{ parsed: ParsedPiece, offset: number, newDoc: boolean }}
    */
-  parse(cfi) {
+  parse(cfi, start = 0) {
     /** @type {Partial<ParsedPiece>} */
     let o = {};
     const isNumber = new RegExp(/[\d]/);
@@ -679,15 +3178,24 @@ class CFI {
     /** @type {string | null} */
     let f = null;
 
-    /** @typedef {'!' | '/' | ':' | '@' | '[' | '~' | 'nodeID' | null} State */
+    /** @typedef {'!' | '/' | ':' | '@' | '[' | '~' | 'nodeID' | 'parameter' | null} State */
     /** @type {State} */
     let state = null;
     /** @type {State} */
     let prevState = null;
 
+    // The bracket state a parameter appeared in and the parameter parsed so far
+    /** @type {State} */
+    let bracketState = null;
+    /** @type {string | null} */
+    let paramName = null;
+    /** @type {string[]} */
+    let paramValues = [];
+
     let escape = false;
     let seenColon = false;
     let seenSlash = false;
+    let slashIndex = -1;
 
     /** @type {number} */
     let index;
@@ -762,7 +3270,15 @@ class CFI {
         } else {
           prevState = state;
           state = null;
-          if (f && seenColon) o.spatial = this.parseSpatialRange(f);
+          o.spatial = (f) ? this.parseSpatialRange(f) : undefined;
+          if (!o.spatial) {
+            throw new CFISyntaxError("Invalid spatial offset", {
+              cfi: this.cfi,
+              index: start + index - (f ?? '').length,
+              state: '@',
+              expected: ['two numbers from 0 to 100 separated by \':\'']
+            });
+          }
           f = null;
         }
       }
@@ -777,9 +3293,15 @@ class CFI {
           escape = false;
           continue;
         } else {
-          if (f) {
-            o.temporal = parseFloat(f);
+          if (!f || !/^\d+(?:\.\d+)?$/.test(f)) {
+            throw new CFISyntaxError("Invalid temporal offset", {
+              cfi: this.cfi,
+              index: start + index - (f ?? '').length,
+              state: '~',
+              expected: ['number']
+            });
           }
+          o.temporal = parseFloat(f);
           prevState = state;
           state = null;
           f = null;
@@ -802,6 +3324,7 @@ class CFI {
             break;
           } else {
             seenSlash = true;
+            slashIndex = index;
             prevState = state;
             state = cur;
             escape = false;
@@ -829,7 +3352,7 @@ class CFI {
           continue;
         }        
 
-        if (cur === '[' && !escape && prevState === ':') {
+        if (cur === '[' && !escape && (prevState === ':' || prevState === '~' || prevState === '@')) {
           prevState = state;
           state = '[';
           escape = false;
@@ -845,11 +3368,16 @@ class CFI {
       }
 
       if (state === '[') {
-        if (cur === ']' && !escape) {
-          prevState = state;
-          state = null;
-          this.parseSideBias(o, f);
+        if ((cur === ']' || cur === ';') && !escape) {
+          this.parseAssertionText(o, f);
           f = null;
+          if (cur === ';') {
+            bracketState = state;
+            state = 'parameter';
+          } else {
+            prevState = state;
+            state = null;
+          }
         } 
         // parse Text Local Assertion (3.1.8)
         else if (cur === ',' && !escape) {
@@ -876,6 +3404,11 @@ class CFI {
           state = null;
           o.nodeID = f;
           f = null;
+        } else if (cur === ';' && !escape) {
+          if (f) o.nodeID = f;
+          f = null;
+          bracketState = state;
+          state = 'parameter';
         } else {
           if (!f) {
             f = cur;
@@ -886,11 +3419,50 @@ class CFI {
         escape = false;
         continue;
       }
+
+      // parse parameters (3.1.9) e.g. ;s=a or ;vnd.foo=bar,baz
+      if (state === 'parameter') {
+        if (escape || (cur !== ']' && cur !== ';' && cur !== ',' && cur !== '=')) {
+          if (!f) {
+            f = cur;
+          } else {
+            f += cur;
+          }
+        } else if (paramName === null) {
+          // A parameter without a value is dropped
+          if (cur === '=') paramName = f ?? '';
+          f = null;
+        } else if (cur === '=') {
+          f = (f ?? '') + cur;
+        } else {
+          paramValues.push(f ?? '');
+          f = null;
+          if (cur !== ',') {
+            this.parseParameter(o, paramName, paramValues);
+            paramName = null;
+            paramValues = [];
+          }
+        }
+
+        if (cur === ']' && !escape) {
+          prevState = bracketState;
+          state = null;
+        }
+        escape = false;
+        continue;
+      }
       
       escape = false;
     }
     
-    if (!o.nodeIndex && o.nodeIndex !== 0) throw new Error("Missing child node index in CFI");
+    if (!o.nodeIndex && o.nodeIndex !== 0) {
+      throw new CFISyntaxError("Missing child node index in CFI", {
+        cfi: this.cfi,
+        index: start + slashIndex + 1,
+        state: seenSlash ? '/' : null,
+        expected: [seenSlash ? 'digit' : "'/'"]
+      });
+    }
     
     return { 
       parsed: /** @type {ParsedPiece} */(o), 
@@ -907,10 +3479,13 @@ class CFI {
    * @param {Node} parentNode 
    * @param {number} index 
    * @param {number} offset 
+   * @param {Partial<{ filter: FilterOption; offsetUnit: OffsetUnit }>} [opts]
    * @returns {CFIIndexedObject}
    */
-  getChildNodeByCFIIndex(dom, parentNode, index, offset) {
-    const children = parentNode.childNodes;
+  getChildNodeByCFIIndex(dom, parentNode, index, offset, opts) {
+    const unit = getOffsetUnit(opts);
+    const tree = getAdapter(opts);
+    const children = getChildren(parentNode, opts?.filter, tree);
     if (!children.length) return { node: parentNode, offset: 0 };
 
     // index is pointing to the virtual node before the first node
@@ -923,7 +3498,7 @@ class CFI {
     let lastChild;
     for (let i=0; i < children.length; i++) {
       const child = children[i];
-      switch(child.nodeType) {
+      switch(tree.nodeType(child)) {
       case ELEMENT_NODE:
 
         // If the previous node was also an element node
@@ -933,7 +3508,7 @@ class CFI {
         if (cfiCount % 2 === 0) {
           cfiCount += 2;
           if (cfiCount >= index) {
-            if (/** @type {Element} */(child).tagName.toLowerCase() === 'img' && offset) {
+            if (tree.tagName(child).toLowerCase() === 'img' && offset) {
               return { node: child, offset };
             }
             return { node: child, offset: 0 };
@@ -941,7 +3516,7 @@ class CFI {
         } else { // Previous node was a text node
           cfiCount += 1;
           if (cfiCount === index) {
-            if (/** @type {Element} */(child).tagName.toLowerCase() === 'img' && offset) {
+            if (tree.tagName(child).toLowerCase() === 'img' && offset) {
               return { node: child, offset };
             }
               
@@ -954,7 +3529,7 @@ class CFI {
             if (!lastChild) {
               return { node: parentNode, offset: 0 };
             }
-            return { node: lastChild, offset: this.trueLength(dom, lastChild.textContent ?? '') };
+            return { node: lastChild, offset: this.trueLength(dom, tree.text(lastChild)) };
           }
         }
         lastChild = child;
@@ -973,12 +3548,13 @@ class CFI {
           // If offset is greater than the length of the current text node
           // then we assume that the next node will also be a text node
           // and that we'll be combining them with the current node
-          let trueLength = this.trueLength(dom, child.textContent ?? '');
+          const text = tree.text(child);
+          let trueLength = countUnits(text, unit);
 
           if (offset >= trueLength) {
             offset -= trueLength;
           } else {
-            return { node: child, offset: offset }
+            return { node: child, offset: toUTF16Offset(text, offset, unit) }
           }
         }
         lastChild = child;
@@ -1003,23 +3579,30 @@ class CFI {
         o.node = lastChild;
       }
 
-      if (this.isTextNode(o.node)) {
-        o.offset = this.trueLength(dom, String(((o.node.textContent ?? '').length))); // ??
+      if (this.isTextNode(o.node, tree)) {
+        o.offset = this.trueLength(dom, tree.text(o.node));
       }
 
       return o;
     }
 
+    // The offset was past the end of the last text node
+    if (index === cfiCount && lastChild && this.isTextNode(lastChild, tree)) {
+      return { node: lastChild, offset: this.trueLength(dom, tree.text(lastChild)) };
+    }
+
     throw new Error('this probably should not happen');
   }
 
   /**
    * @param {Node | null | undefined} node 
+   * @param {TreeAdapter} [tree]
    * @returns {node is Text}
    */
-  isTextNode(node) {
+  isTextNode(node, tree = DOM_ADAPTER) {
     if (!node) return false;
-    if (node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE) {
+    const nodeType = tree.nodeType(node);
+    if (nodeType === TEXT_NODE || nodeType === CDATA_SECTION_NODE) {
       return true;
     }
     return false;
@@ -1028,74 +3611,88 @@ class CFI {
   /**
    * Use a Text Location Assertion to correct and offset.
    * 
+   * If the assertion does not match exactly and the `fuzzy` option is given,
+   * the enclosing block or document is searched for the closest approximate
+   * match and a `confidence` between 0 and 1 is added to the result.
+   * 
    * @param {Doc} dom 
    * @param {Node} node 
    * @param {number} offset 
-   * @param {string | {pre: string; post: string}} assertion 
+   * @param {string | TextLocalAssertion} assertion 
+   * @param {Partial<{ filter: FilterOption; offsetUnit: OffsetUnit; fuzzy: true | Partial<FuzzyOptions> }>} [opts]
+   * @param {StepDiagnostic} [report] - if given, whether and how far the assertion moved the offset is added
    * @returns {CFIIndexedObject}
    */
-  correctOffset(dom, node, offset, assertion) {
-    let curNode = node;
+  correctOffset(dom, node, offset, assertion, opts, report) {
+    const { pre, post } = splitAssertion(assertion);
 
-    let matchStr = '';
-    if (typeof assertion === 'string') {
-      matchStr = this.decodeEntities(dom, assertion);
-    } else {
-      assertion.pre = this.decodeEntities(dom, assertion.pre);
-      assertion.post = this.decodeEntities(dom, assertion.post);
-      matchStr = assertion.pre + '.' + assertion.post;
+    const unit = getOffsetUnit(opts);
+    const tree = getAdapter(opts);
+    if (!(this.isTextNode(node, tree)) || (!pre && !post)) {
+      return { node, offset: this.isTextNode(node, tree) ? toUTF16Offset(tree.text(node), offset, unit) : 0 };
     }
 
-    if (!(this.isTextNode(node))) {
-      return { node, offset: 0 };
-    }
-    
-    while (this.isTextNode(curNode.previousSibling)) {
-      curNode = curNode.previousSibling;
-    }
+    // Collect the text nodes that make up the CFI text node. Nodes that
+    // are not counted by the CFI standard, like comments, are skipped.
+    const parent = getParent(node, opts?.filter, tree);
+    const siblings = parent ? getChildren(parent, opts?.filter, tree) : [node];
+    let start = Array.prototype.indexOf.call(siblings, node);
+    while (start > 0 && tree.nodeType(siblings[start - 1]) !== ELEMENT_NODE) start--;
 
-    const startNode = curNode;
+    /** @type {Node[]} */
+    const textNodes = [];
     const nodeLengths = [];
-    let str;
     let txt = '';
-    let i = 0;
-    while (this.isTextNode(curNode)) {
-      str = this.decodeEntities(dom, curNode.textContent ?? '');
-      nodeLengths[i] = str.length;
+    for (let i = start; i < siblings.length && tree.nodeType(siblings[i]) !== ELEMENT_NODE; i++) {
+      if (!this.isTextNode(siblings[i], tree)) continue;
+      const str = tree.text(siblings[i]);
+      textNodes.push(siblings[i]);
+      nodeLengths.push(str.length);
       txt += str;
-      
-      if (!curNode.nextSibling) break;
-      curNode = curNode.nextSibling;
-      i++;
     }
 
+    // Match in UTF-16 code units, like the DOM
+    const cfiOffset = offset;
+    offset = toUTF16Offset(txt, offset, unit);
+
     // Find all matches to the Text Location Assertion
-    const matchOffset = (typeof assertion !== 'string' && 'pre' in assertion) ? assertion.pre.length : 0;
-    const m = matchAll(txt, new RegExp(matchStr), matchOffset);
-    if (!m.length) return { node, offset };
+    const m = matchAssertion(txt, pre, post);
     
     // Get the match that has the closest offset to the existing offset
-    let newOffset = /** @type {number} */(closest(m, offset));
-    
-    if (curNode === node && newOffset === offset) {
-      return {node, offset};
+    let newOffset = (m.length) ? /** @type {number} */(closest(m, offset)) : offset;
+
+    if (!m.length && opts?.fuzzy) {
+      const match = findApproximateMatch(textNodes[0], offset, pre, post, opts.fuzzy, tree);
+      if (match) {
+        if (report) {
+          report.assertion = 'approximate';
+          if (match.distance) report.distance = match.distance;
+          report.editDistance = match.editDistance;
+        }
+        return { node: match.node, offset: match.offset, confidence: match.confidence };
+      }
     }
 
-    i = 0;
-    curNode = startNode;
-    while (newOffset >= nodeLengths[i]) {
+    if (report) {
+      report.assertion = (!m.length) ? 'missing' : (newOffset === offset) ? 'matched' : 'relocated';
+      if (newOffset !== offset) report.distance = fromUTF16Offset(txt, newOffset, unit) - cfiOffset;
+    }
 
-      newOffset -= nodeLengths[i];
-      if (newOffset < 0) return {node, offset}
+    // With fuzzy matching, exact matches are certain and no match is not
+    const confidence = (opts?.fuzzy) ? ((m.length) ? 1 : 0) : undefined;
 
-      //if (!curNode.nextSibling || i+1 >= nodeOffsets.length) // ??
-      if (!curNode.nextSibling || i+1 >= nodeLengths.length) // ??
-        return { node, offset };
-      i++;
-      curNode = curNode.nextSibling;
+    // The offset is into the whole CFI text node so find the DOM text node
+    for (let i = 0; i < textNodes.length; i++) {
+      if (newOffset < nodeLengths[i] || i === textNodes.length - 1) {
+        /** @type {CFIIndexedObject} */
+        const o = { node: textNodes[i], offset: newOffset };
+        if (confidence !== undefined) o.confidence = confidence;
+        return o;
+      }
+      newOffset -= nodeLengths[i];
     }
 
-    return { node: curNode, offset: newOffset };
+    return { node, offset };
   }
   
   /**
@@ -1103,23 +3700,35 @@ class CFI {
    * @param {number} index 
    * @param {*} subparts 
    * @param {Doc} dom 
-   * @param {Partial<{ ignoreIDs: boolean }>} [opts]
+   * @param {Partial<ResolveOptions>} [opts]
    * @returns {CFIIndexedObject}
    */
   resolveNode(index, subparts, dom, opts) {
     opts = Object.assign({}, opts || {});
     if (!dom) throw new Error("Missing DOM argument");
+
+    const strategy = opts.strategy ?? 'id-first';
+    if (!['id-first', 'path-first', 'verified'].includes(strategy)) {
+      throw new Error("Unknown resolve strategy: " + strategy);
+    }
+    if (opts.onConflict && !['throw', 'prefer-id', 'prefer-path', 'report'].includes(opts.onConflict)) {
+      throw new Error("Unknown conflict policy: " + opts.onConflict);
+    }
+    if (opts.onConflict && strategy !== 'verified') {
+      throw new Error("onConflict can only be used with the 'verified' strategy");
+    }
     
-    // Traverse backwards until a subpart with a valid ID is found
-    // or the first subpart is reached
+    const tree = getAdapter(opts);
     let startNode;
     if (index === 0) {
-      startNode = dom.querySelector('package');
+      startNode = (tree === DOM_ADAPTER)
+        ? dom.querySelector('package')
+        : findElement(dom, (el) => tree.tagName(el).replace(/^.*:/, '') === 'package', tree);
     }
     
     if (!startNode) {
-      for (let n of dom.childNodes) {
-        if (n.nodeType === ELEMENT_NODE) {
+      for (let n of Array.from(tree.children(dom))) {
+        if (tree.nodeType(n) === ELEMENT_NODE) {
           startNode = n;
           break;
         }
@@ -1127,6 +3736,24 @@ class CFI {
     }
     if (!startNode) throw new Error("Doc incompatible with CFIs");
 
+    if (strategy === 'verified' || opts.ignoreIDs) {
+      const report = (opts.diagnostics) ? [] : undefined;
+      const o = this.walkPath(dom, startNode, subparts, 0, opts, report);
+      // Without IDs there is nothing to fall back to with 'path-first'
+      if (!o) throw new Error("The path of the CFI can not be followed in the document");
+      return o;
+    }
+
+    // Only use IDs if the path does not lead anywhere
+    if (strategy === 'path-first') {
+      const report = (opts.diagnostics) ? [] : undefined;
+      const o = this.walkPath(dom, startNode, subparts, 0, opts, report);
+      if (o) return o;
+      opts.strategy = 'id-first';
+    }
+
+    // Traverse backwards until a subpart with a valid ID is found
+    // or the first subpart is reached
     /** @type {Node | null} */
     let node = startNode;
 
@@ -1134,7 +3761,7 @@ class CFI {
     let subpart;
     for (let i=subparts.length-1; i >=0; i--) {
       subpart = subparts[i];
-      if (!opts.ignoreIDs && subpart.nodeID && (node = dom.getElementById(subpart.nodeID))) {
+      if (subpart.nodeID && (node = getElementByID(dom, subpart.nodeID, opts.filter, tree))) {
         startFrom = i + 1;
         break;
       }
@@ -1144,22 +3771,143 @@ class CFI {
       node = startNode;
     }
     
+    /** @type {StepDiagnostic[] | undefined} */
+    const report = (opts.diagnostics) ? [] : undefined;
+    if (report && startFrom) {
+      this.diagnoseSkippedSteps(dom, startNode, subparts.slice(0, startFrom), node, report, opts);
+    }
+
+    return /** @type {CFIIndexedObject} */(this.walkPath(dom, node, subparts, startFrom, opts, report));
+  }
+
+  /**
+   * Follow the steps of a path by their indexes, starting at node.
+   * 
+   * With the `'path-first'` strategy null is returned if a step can not be
+   * followed, e.g. an index is past the last child or an even index does not
+   * lead to an element. With the `'verified'` strategy the ID of every step
+   * is checked and `onConflict` decides what happens if the ID is on another
+   * element than the one found by the index.
+   * 
+   * @param {Doc} dom 
+   * @param {Node} node 
+   * @param {ParsedPiece[]} subparts 
+   * @param {number} startFrom - index of the first step to follow
+   * @param {Partial<ResolveOptions>} opts 
+   * @param {StepDiagnostic[]} [report] - diagnostics of the steps are added
+   * @returns {CFIIndexedObject | null}
+   */
+  walkPath(dom, node, subparts, startFrom, opts, report) {
+    const verify = (opts.strategy === 'verified' && !opts.ignoreIDs);
+    const onConflict = opts.onConflict ?? 'throw';
+
+    /** @type {ResolveConflict | undefined} */
+    let conflict;
+
     /** @type {CFIIndexedObject} */
     let o = { node, offset: 0 };
     
-    //let nodeIndex;
     for (let i=startFrom; i < subparts.length; i++) {
-      subpart = subparts[i];
+      const subpart = subparts[i];
+      const parent = o.node;
+      const isLast = (i === subparts.length - 1);
+
+      if (opts.strategy === 'path-first') {
+        try {
+          o = this.getChildNodeByCFIIndex(dom, parent, subpart.nodeIndex, subpart.offset, opts);
+        } catch(err) {
+          return null;
+        }
+        const check = diagnoseStep(dom, parent, subpart, o, isLast, opts);
+        if (check.parityMismatch || check.clampedIndex || (!isLast && (o.relativeToNode || o.node === parent))) {
+          return null;
+        }
+      } else {
+        o = this.getChildNodeByCFIIndex(dom, parent, subpart.nodeIndex, subpart.offset, opts);
+      }
+      const diagnostic = (report) ? diagnoseStep(dom, parent, subpart, o, isLast, opts) : undefined;
 
-      o = this.getChildNodeByCFIIndex(dom, o.node, subpart.nodeIndex, subpart.offset);
+      const idNode = (verify && subpart.nodeID) ? getElementByID(dom, subpart.nodeID, opts.filter, getAdapter(opts)) : null;
+      if (idNode && idNode !== o.node) {
+        if (onConflict === 'throw') {
+          throw new Error("ID '" + subpart.nodeID + "' is on another element than index " + subpart.nodeIndex);
+        } else if (onConflict === 'prefer-id') {
+          o = { node: idNode, offset: 0 };
+          if (diagnostic) diagnostic.usedID = true;
+        } else if (onConflict === 'report') {
+          // Resolve the rest of the path from the ID once, at the first conflict
+          if (!conflict) {
+            const idOpts = Object.assign({}, opts, { onConflict: 'prefer-id', diagnostics: false });
+            conflict = {
+              steps: [],
+              byPath: { node: o.node, offset: 0 },
+              byID: /** @type {CFIIndexedObject} */(this.walkPath(dom, idNode, subparts, i + 1, idOpts))
+            };
+          }
+          conflict.steps.push({ nodeIndex: subpart.nodeIndex, nodeID: subpart.nodeID, pathNode: o.node, idNode });
+        }
+      }
 
       if (subpart.textLocationAssertion) {
-        o = this.correctOffset(dom, o.node, subpart.offset, subpart.textLocationAssertion);
+        o = this.correctOffset(dom, o.node, subpart.offset, subpart.textLocationAssertion, opts, diagnostic);
+      }
+
+      if (report && diagnostic) {
+        diagnostic.node = o.node;
+        report.push(diagnostic);
       }
     }
     
+    if (conflict) {
+      conflict.byPath = Object.assign({}, o);
+      o.conflict = conflict;
+    }
+    if (report) o.diagnostics = report;
     return o;
   }
+
+  /**
+   * Add diagnostics for the steps that were skipped because a later step was
+   * located by its ID. The steps are resolved by their indexes to check if
+   * that leads to the same node as the ID.
+   * 
+   * @param {Doc} dom 
+   * @param {Node} startNode 
+   * @param {ParsedPiece[]} subparts - the skipped steps, the last of which was located by its ID
+   * @param {Node} idNode - the node with the ID
+   * @param {StepDiagnostic[]} report 
+   * @param {Partial<ResolveOptions>} opts 
+   */
+  diagnoseSkippedSteps(dom, startNode, subparts, idNode, report, opts) {
+    /** @type {CFIIndexedObject | null} */
+    let o = { node: startNode };
+    for (let i = 0; i < subparts.length; i++) {
+      const subpart = subparts[i];
+      const isIDStep = (i === subparts.length - 1);
+
+      /** @type {StepDiagnostic} */
+      let diagnostic = { nodeIndex: subpart.nodeIndex };
+      if (o) {
+        const parent = o.node;
+        try {
+          o = this.getChildNodeByCFIIndex(dom, parent, subpart.nodeIndex, subpart.offset ?? 0, opts);
+          diagnostic = diagnoseStep(dom, parent, subpart, o, false, opts);
+        } catch(err) {
+          o = null;
+        }
+      }
+
+      if (isIDStep) {
+        diagnostic.usedID = true;
+        diagnostic.id = (o && o.node === idNode) ? 'matched' : 'mismatch';
+        diagnostic.node = idNode;
+      } else {
+        diagnostic.skipped = true;
+        if (!o) delete diagnostic.id;
+      }
+      report.push(diagnostic);
+    }
+  }
   
   /**
    * Each part of a CFI (as separated by '!') references a separate HTML/XHTML/XML document.
@@ -1170,7 +3918,7 @@ class CFI {
    * 
    * @param {number} index 
    * @param {Doc} dom 
-   * @param {Partial<{ ignoreIDs: boolean }>} [opts]
+   * @param {Partial<ResolveOptions>} [opts]
    * @returns 
    */
   resolveURI(index, dom, opts) {
@@ -1183,40 +3931,42 @@ class CFI {
     if (!subparts) throw new Error("Missing CFI part for index: " + index);
     
     let o = this.resolveNode(index, subparts, dom, opts);
+    const tree = getAdapter(opts);
     
     let node = /** @type {Element} */(o.node);
+    const parent = tree.parent(node);
 
-    const tagName = node.tagName.toLowerCase();
+    const tagName = tree.tagName(node).toLowerCase();
     if (tagName === 'itemref'
-       && /** @type {Element} */(node.parentNode).tagName.toLowerCase() === 'spine') {
+       && parent && tree.tagName(parent).toLowerCase() === 'spine') {
 
-      const idref = node.getAttribute('idref');
+      const idref = tree.getAttribute(node, 'idref');
       if (!idref) throw new Error("Referenced node had not 'idref' attribute");
 
-      const _nodeOrNull = dom.getElementById(idref);
+      const _nodeOrNull = getElementByID(dom, idref, undefined, tree);
       if (!_nodeOrNull) throw new Error("Specified node is missing from manifest");
       node = _nodeOrNull;
 
-      const href = node.getAttribute('href');
+      const href = tree.getAttribute(node, 'href');
       if (!href) throw new Error("Manifest item is missing href attribute");
       
       return href;
     }
 
     if (tagName === 'iframe' || tagName === 'embed') {
-      const src = node.getAttribute('src');
+      const src = tree.getAttribute(node, 'src');
       if (!src) throw new Error(tagName + " element is missing 'src' attribute");
       return src;
     }
 
     if (tagName === 'object') {
-      const data = node.getAttribute('data');
+      const data = tree.getAttribute(node, 'data');
       if (!data) throw new Error(tagName + " element is missing 'data' attribute");
       return data;
     }
 
     if (tagName === 'image'|| tagName === 'use') {
-      const href = node.getAttribute('xlink:href');
+      const href = tree.getAttribute(node, 'xlink:href');
       if (!href) throw new Error(tagName + " element is missing 'xlink:href' attribute");
       return href;
     }
@@ -1238,14 +3988,15 @@ class CFI {
    * 
    * @param {Doc} dom 
    * @param {Part1[]} parts 
+   * @param {Partial<ResolveOptions>} [opts]
    * @returns {CFILocation}
    */
-  resolveLocation(dom, parts) {
+  resolveLocation(dom, parts, opts) {
     const index = parts.length - 1;
     const subparts = parts[index];
     if (!subparts) throw new Error("Missing CFI part for index: " + index);
 
-    const o = this.resolveNode(index, subparts, dom);
+    const o = this.resolveNode(index, subparts, dom, opts);
 
     //const lastpart = this.deepClone(subparts[subparts.length - 1]);
 
@@ -1257,7 +4008,9 @@ class CFI {
     
     /** @type {Omit<ParsedPiece, 'nodeIndex'> & CFIIndexedObject} */
     const result = Object.assign({}, lastpart, o);
-    if (!lastpart.offset) delete result.offset;
+    // Keep an offset of 0 from the CFI, which an assertion or fuzzy
+    // matching may have moved
+    if (lastpart.offset === undefined) delete result.offset;
     
     return result;    
   }
@@ -1268,46 +4021,95 @@ class CFI {
    * 
    * @param {Doc} dom 
    * @param {Partial<ResolveOptions>} [opts] 
-   * @returns {CFILocation | {from: CFILocation; to: CFILocation; isRange: true} | Range}
+   * @returns {CFILocation | {from: CFILocation; to: CFILocation; isRange: true} | Range | StaticRangeLike}
    */
   resolveLast(dom, opts) {
     opts = Object.assign({ range: false }, opts || {});
     
     if (!this.isRange) {
-      return this.resolveLocation(dom, this.parts);
+      return this.resolveLocation(dom, this.parts, opts);
     }
 
     if (opts.range) {
-      const range = dom.createRange();
-
       const from = this.getFrom();
-      if (from.relativeToNode === 'before') {
-        range.setStartBefore(from.node, from.offset)
-      } else if (from.relativeToNode === 'after') {
-        range.setStartAfter(from.node, from.offset)
-      } else {
-        range.setStart(from.node, from.offset);
-      }
-
       const to = this.getTo();
-      if (to.relativeToNode === 'before') {
-        range.setEndBefore(to.node, to.offset)
-      } else if (to.relativeToNode === 'after') {
-        range.setEndAfter(to.node, to.offset)
-      } else {
-        range.setEnd(to.node, to.offset);
-      }
-
-      return range;
+      const tree = getAdapter(opts);
+      return createRange(dom,
+        getBoundaryPoint(this.resolveLocation(dom, from, opts), from, false, tree),
+        getBoundaryPoint(this.resolveLocation(dom, to, opts), to, true, tree)
+      );
     }
     
     return {
-      from: this.resolveLocation(dom, this.getFrom()),
-      to: this.resolveLocation(dom, this.getTo()),
+      from: this.resolveLocation(dom, this.getFrom(), opts),
+      to: this.resolveLocation(dom, this.getTo(), opts),
       isRange: true
     };
   }
 
+  /**
+   * Resolve the CFI to a range of character indexes in the XML source of the
+   * final document referenced by the CFI, e.g. raw XHTML, without parsing it
+   * into a tree. An element resolves to the range from the start of its start
+   * tag to the end of its end tag and a location in text to an empty range
+   * at the character, counting character and entity references as the
+   * characters they stand for.
+   * 
+   * @param {string} source - well-formed XML, e.g. XHTML
+   * @param {Partial<Pick<ResolveOptions, 'ignoreIDs' | 'offsetUnit'>>} [opts]
+   * @returns {{ start: number; end: number }}
+   */
+  resolveSource(source, opts) {
+    opts = opts || {};
+
+    if (!this.isRange) {
+      return resolveSourcePath(source, this.parts[this.parts.length - 1], opts);
+    }
+
+    const from = this.getFrom();
+    const to = this.getTo();
+    return {
+      start: resolveSourcePath(source, from[from.length - 1], opts).start,
+      end: resolveSourcePath(source, to[to.length - 1], opts).end
+    };
+  }
+
+  /**
+   * Seek an audio or video element to the temporal offset of a location
+   * returned by `resolveLast()`.
+   * 
+   * @param {{ node: Node; temporal?: number }} location 
+   * @returns {number} - the time in seconds
+   */
+  static seekMedia(location) {
+    if (typeof location.temporal !== 'number') throw new Error("Location has no temporal offset");
+    const media = location.node;
+    if (!isMediaElement(media)) throw new Error("Location is not an audio or video element");
+    media.currentTime = location.temporal;
+    return location.temporal;
+  }
+
+  /**
+   * Convert the spatial offset of a location returned by `resolveLast()`,
+   * from 0 to 100, to pixels in an image, SVG element or video. Unless
+   * `size` is given, the viewBox or intrinsic size of the element is used.
+   * 
+   * @param {{ node: Node; spatial?: { x: number; y: number } }} location 
+   * @param {{ width: number; height: number }} [size]
+   * @returns {{ x: number; y: number }}
+   */
+  static spatialToPixels(location, size) {
+    const spatial = location.spatial;
+    if (!spatial) throw new Error("Location has no spatial offset");
+    if (location.node.nodeType !== ELEMENT_NODE) throw new Error("Location is not an element");
+
+    const box = (size) ? { x: 0, y: 0, width: size.width, height: size.height } : getMediaBox(/** @type {Element} */(location.node));
+    return {
+      x: box.x + spatial.x / 100 * box.width,
+      y: box.y + spatial.y / 100 * box.height
+    };
+  }
+
   /**
    * @param {string} uri 
    * @returns {Promise<Document | null>}
@@ -1337,7 +4139,83 @@ class CFI {
   }
   
   /**
-   * @typedef {{ ignoreIDs: boolean; range: boolean }} ResolveOptions
+   * The tree adapter for W3C DOM documents that is used when no `adapter`
+   * option is given
+   * 
+   * @returns {TreeAdapter}
+   */
+  static get domAdapter() {
+    return DOM_ADAPTER;
+  }
+
+  /**
+   * Create a function for `resolve()` that retrieves documents using
+   * the WHATWG fetch() API and parses them.
+   * 
+   * @param {Partial<{ parse: ParseFunction; fetch: (uri: string) => Promise<Response> }>} [opts]
+   * @returns {(uri: string) => Promise<Doc>}
+   */
+  static createFetchLoader(opts) {
+    const parse = getParseFunction(opts?.parse);
+    const fetchFn = opts?.fetch ?? ((typeof fetch === 'function') ? fetch : null);
+    if (!fetchFn) throw new Error("fetch() not available. You must supply a fetch function.");
+
+    return async (uri) => {
+      const res = await fetchFn(uri);
+      if (!res.ok) throw new Error("Failed to get: " + uri);
+      return parse(await res.text(), guessMimeType(uri));
+    };
+  }
+
+  /**
+   * Create a function for `resolve()` that reads documents from a directory
+   * containing an unpacked EPUB and parses them. Only works in Node.js.
+   * 
+   * @param {string} dir - path to the directory
+   * @param {Partial<{ parse: ParseFunction }>} [opts]
+   * @returns {(uri: string) => Promise<Doc>}
+   */
+  static createDirectoryLoader(dir, opts) {
+    const parse = getParseFunction(opts?.parse);
+
+    return async (uri) => {
+      const path = normalizePath(uri);
+      if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(path) || path.startsWith('/') || path === '..' || path.startsWith('../')) {
+        throw new Error("URI is outside of the directory: " + uri);
+      }
+
+      const { readFile } = await import('fs/promises');
+      const text = await readFile(dir.replace(/\/+$/, '') + '/' + path, 'utf8');
+      return parse(text, guessMimeType(path));
+    };
+  }
+
+  /**
+   * Open a zipped EPUB publication in memory. Entries are only inflated when
+   * they are read. The returned object's `fetch()` method can be used as
+   * `fetchCB` for `resolve()` with paths inside the container.
+   * 
+   * @param {string | ArrayBuffer | Uint8Array} bufferOrPath - the .epub file or a path to it (node.js only)
+   * @param {Partial<{ parse: ParseFunction; inflate: (data: Uint8Array) => Promise<Uint8Array> }>} [opts]
+   * @returns {Promise<Publication>}
+   */
+  static async openPublication(bufferOrPath, opts) {
+    /** @type {Uint8Array} */
+    let bytes;
+    if (typeof bufferOrPath === 'string') {
+      const { readFile } = await import('fs/promises');
+      bytes = await readFile(bufferOrPath);
+    } else if (bufferOrPath instanceof Uint8Array) {
+      bytes = bufferOrPath;
+    } else {
+      bytes = new Uint8Array(bufferOrPath);
+    }
+
+    return new Publication(bytes, readZipEntries(bytes), opts);
+  }
+
+  /**
+   * @typedef {{ ignoreIDs: boolean; strategy: 'id-first' | 'path-first' | 'verified'; onConflict: 'throw' | 'prefer-id' | 'prefer-path' | 'report'; range: boolean; filter: FilterOption; offsetUnit: OffsetUnit; adapter: TreeAdapter; baseURI: string; diagnostics: boolean; fuzzy: true | Partial<FuzzyOptions> }} ResolveOptions
    * 
    * @param {string | Doc} uriOrDoc 
    * @param {((uri: string) => Promise<Doc | null>) | ResolveOptions | null} [arg1]
@@ -1362,20 +4240,470 @@ class CFI {
     /** @type {Doc | undefined | null} */
     let doc;
     if (typeof uriOrDoc === 'string') {
-      uri = uriOrDoc;
+      uri = resolveRelativeURI(uriOrDoc, opts?.baseURI);
     } else {
       doc = uriOrDoc;
     }
 
-    //let part; // ??
+    // Each href is relative to the document it was found in
+    let base = uri ?? opts?.baseURI;
     for (let i = 0; i < this.parts.length - 1; i++) {
       if (uri) doc = await fetchCB(uri);
-      uri = this.resolveURI(i, /** @type {Doc} */(doc), opts);
+      uri = resolveRelativeURI(this.resolveURI(i, /** @type {Doc} */(doc), opts), base);
+      base = uri;
     }
 
     if (uri) doc = await fetchCB(uri);
     return this.resolveLast(/** @type {Doc} */(doc), opts);
   }
+
+  /**
+   * Resolve an entire CFI starting at the root of the publication. The package
+   * document is found using `META-INF/container.xml`, after which resolving
+   * continues the same way as for `resolve()`.
+   * 
+   * @param {((uri: string) => Promise<Doc | null>) | Partial<ResolveOptions & RootfileOptions & { root: string }> | null} [arg0]
+   * @param {Partial<ResolveOptions & RootfileOptions & { root: string }>} [opts]
+   * @returns 
+   */
+  async resolveFromRoot(arg0, opts) {
+    if (arg0 && typeof arg0 !== 'function') {
+      opts = arg0;
+      arg0 = null;
+    }
+    if (!arg0) {
+      if (typeof XMLHttpRequest === 'undefined') {
+        throw new Error("XMLHttpRequest not available. You must supply a function as the first argument.");
+      }
+      arg0 = this.fetchAndParse;
+    }
+    const fetchCB = arg0;
+
+    const { packageURI } = await findPackage(fetchCB, opts);
+    return this.resolve(packageURI, fetchCB, Object.assign({}, opts, { baseURI: undefined }));
+  }
+}
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name
+ * @property {number} method - compression method, 0 (stored) or 8 (deflated)
+ * @property {number} compressedSize
+ * @property {number} size
+ * @property {number} localHeaderOffset
+ */
+
+/**
+ * Read the central directory of a ZIP archive. ZIP64 is not supported.
+ * 
+ * @param {Uint8Array} bytes 
+ * @returns {ZipEntry[]}
+ */
+function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The End Of Central Directory record is at the end of the file,
+  // followed by a comment of up to 65535 bytes
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= 0 && i >= bytes.length - 22 - 0xffff; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP file");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error("ZIP64 files are not supported");
+
+  const decoder = new TextDecoder();
+  /** @type {ZipEntry[]} */
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("Invalid ZIP central directory");
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    if (offset + 46 + nameLength + extraLength + commentLength > bytes.length) {
+      throw new Error("Invalid ZIP central directory: entry " + i + " extends past the end of the file");
+    }
+
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+    if (localHeaderOffset + 30 > bytes.length) {
+      throw new Error("Invalid ZIP central directory: local header of " + name + " is past the end of the file");
+    }
+
+    entries.push({
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Inflate raw deflate data using DecompressionStream
+ * 
+ * @param {Uint8Array} data 
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error("DecompressionStream not available. You must supply an inflate function.");
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * A zipped EPUB publication opened with `CFI.openPublication()`
+ */
+class Publication {
+
+  /**
+   * @param {Uint8Array} bytes - the ZIP file
+   * @param {ZipEntry[]} entries 
+   * @param {Partial<{ parse: ParseFunction; inflate: (data: Uint8Array) => Promise<Uint8Array> }>} [opts]
+   */
+  constructor(bytes, entries, opts) {
+    this.bytes = bytes;
+    this.entries = entries;
+    this.parse = opts?.parse;
+    this.inflate = opts?.inflate ?? inflateRaw;
+
+    /** @type {Map<string, ZipEntry>} */
+    this.byName = new Map();
+    /** @type {Map<string, ZipEntry>} */
+    this.byLowerCaseName = new Map();
+    for (let entry of entries) {
+      this.byName.set(entry.name, entry);
+      if (!this.byLowerCaseName.has(entry.name.toLowerCase())) {
+        this.byLowerCaseName.set(entry.name.toLowerCase(), entry);
+      }
+    }
+
+    // Allow passing fetch as a callback, e.g. to resolve()
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Names of all entries in the container
+   * 
+   * @returns {string[]}
+   */
+  list() {
+    return this.entries.map((entry) => entry.name);
+  }
+
+  /**
+   * Find the entry for a path inside the container. The path may be
+   * percent-encoded like an href and is matched without regard to case
+   * if there is no exact match.
+   * 
+   * @param {string} path 
+   * @returns {ZipEntry | undefined}
+   */
+  find(path) {
+    const name = normalizePath(path.replace(/^\/+/, ''));
+    return this.byName.get(name)
+      ?? this.byName.get(path)
+      ?? this.byLowerCaseName.get(name.toLowerCase());
+  }
+
+  /**
+   * Read and if needed inflate an entry
+   * 
+   * @param {string} path 
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(path) {
+    const entry = this.find(path);
+    if (!entry) throw new Error("Entry not found in publication: " + path);
+
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    const offset = entry.localHeaderOffset;
+    if (offset + 30 > this.bytes.length || view.getUint32(offset, true) !== 0x04034b50) {
+      throw new Error("Invalid ZIP local header for: " + entry.name);
+    }
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    if (start + entry.compressedSize > this.bytes.length) {
+      throw new Error("ZIP entry extends past the end of the file: " + entry.name);
+    }
+    const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+    let content;
+    if (entry.method === 0) {
+      content = data;
+    } else if (entry.method === 8) {
+      content = await this.inflate(data);
+    } else {
+      throw new Error("Unsupported compression method " + entry.method + " for: " + entry.name);
+    }
+
+    if (content.length !== entry.size) throw new Error("Corrupt ZIP entry: " + entry.name);
+    return content;
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   * 
+   * @param {string} path 
+   * @returns {Promise<string>}
+   */
+  async readText(path) {
+    return new TextDecoder().decode(await this.read(path));
+  }
+
+  /**
+   * Read and parse a document. Can be used as `fetchCB` for `resolve()`.
+   * 
+   * @param {string} uri - path inside the container
+   * @returns {Promise<Doc>}
+   */
+  async fetch(uri) {
+    const parse = getParseFunction(this.parse);
+    return parse(await this.readText(uri), guessMimeType(uri));
+  }
+}
+
+/**
+ * Fluent interface for constructing a CFI step by step without a DOM.
+ * Created using `CFI.builder()`.
+ */
+class CFIBuilder {
+
+  constructor() {
+    /** @type {ParsedPiece[][]} */
+    this.parts = [[]];
+    /** @type {ParsedPiece[] | null} */
+    this.fromPath = null;
+    /** @type {ParsedPiece[] | null} */
+    this.toPath = null;
+  }
+
+  /**
+   * The path that steps are currently being added to
+   * @returns {ParsedPiece[]}
+   */
+  current() {
+    return this.toPath || this.fromPath || this.parts[this.parts.length - 1];
+  }
+
+  /**
+   * The last step added to the current path
+   * @param {string} what - description of the operation, for the error message
+   * @returns {ParsedPiece}
+   */
+  last(what) {
+    const path = this.current();
+    if (!path.length) throw new Error(what + " must follow a step");
+    return path[path.length - 1];
+  }
+
+  /**
+   * @param {ParsedPiece} piece 
+   * @returns {boolean}
+   */
+  isTerminated(piece) {
+    return (typeof piece.offset === 'number'
+            || typeof piece.temporal === 'number'
+            || !!piece.spatial);
+  }
+
+  /**
+   * Add a step. Even indices are elements and odd indices are text.
+   * 
+   * @param {number} index 
+   * @param {string} [id] - ID of the element, only allowed for even indices
+   * @returns {this}
+   */
+  step(index, id) {
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error("Step index must be a non-negative integer");
+    }
+    if (id && index % 2) {
+      throw new Error("Odd step indices refer to text which can not have an ID");
+    }
+
+    const path = this.current();
+    const prev = path[path.length - 1];
+    if (prev && this.isTerminated(prev)) {
+      throw new Error("Can not add a step after an offset");
+    }
+    if (prev && prev.nodeIndex % 2) {
+      throw new Error("Can not add a step after an odd step since text has no children");
+    }
+
+    /** @type {ParsedPiece} */
+    const piece = { nodeIndex: index };
+    if (id) piece.nodeID = id;
+    path.push(piece);
+    return this;
+  }
+
+  /**
+   * Add a `!` indirection step into the document referenced by the last step
+   * @returns {this}
+   */
+  indirect() {
+    if (this.fromPath) throw new Error("A range can not span multiple documents");
+
+    const piece = this.last("Indirection");
+    if (piece.nodeIndex % 2 || this.isTerminated(piece)) {
+      throw new Error("Indirection must follow a step referencing an element");
+    }
+    this.parts.push([]);
+    return this;
+  }
+
+  /**
+   * Add a character offset to the last step
+   * @param {number} offset 
+   * @returns {this}
+   */
+  offset(offset) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error("Character offset must be a non-negative integer");
+    }
+    const piece = this.last("Offset");
+    if (piece.nodeIndex % 2 === 0) throw new Error("Character offsets must be on a text (odd) step");
+    if (this.isTerminated(piece)) throw new Error("Step already has an offset");
+    piece.offset = offset;
+    return this;
+  }
+
+  /**
+   * Add a temporal offset in seconds to the last step
+   * @param {number} seconds 
+   * @returns {this}
+   */
+  temporal(seconds) {
+    const piece = this.last("Temporal offset");
+    if (piece.nodeIndex % 2) throw new Error("Temporal offsets must be on an element (even) step");
+    applyOptions(piece, { temporal: seconds });
+    return this;
+  }
+
+  /**
+   * Add a spatial offset, as percentages from 0 to 100, to the last step
+   * @param {number} x 
+   * @param {number} y 
+   * @returns {this}
+   */
+  spatial(x, y) {
+    const piece = this.last("Spatial offset");
+    if (piece.nodeIndex % 2) throw new Error("Spatial offsets must be on an element (even) step");
+    applyOptions(piece, { spatial: { x, y } });
+    return this;
+  }
+
+  /**
+   * Add a Text Location Assertion to the last step
+   * @param {string} [pre] - text expected before the location
+   * @param {string} [post] - text expected after the location
+   * @returns {this}
+   */
+  assert(pre, post) {
+    const piece = this.last("Text Location Assertion");
+    if (piece.nodeIndex % 2 === 0) throw new Error("Text Location Assertions must be on a text (odd) step");
+    if (!this.isTerminated(piece)) {
+      throw new Error("Text Location Assertion must follow an offset");
+    }
+
+    /** @type {TextLocalAssertion} */
+    const assertion = /** @type {TextLocalAssertion} */({});
+    if (pre) assertion.pre = pre;
+    if (post) assertion.post = post;
+    piece.textLocationAssertion = assertion;
+    return this;
+  }
+
+  /**
+   * Set the side bias of the last step
+   * @param {'before' | 'after'} bias 
+   * @returns {this}
+   */
+  sideBias(bias) {
+    if (bias !== 'before' && bias !== 'after') {
+      throw new Error("Side bias must be 'before' or 'after'");
+    }
+    const piece = this.last("Side bias");
+    if (typeof piece.offset !== 'number') throw new Error("Side bias must follow a character offset");
+    piece.sideBias = bias;
+    return this;
+  }
+
+  /**
+   * Add a parameter, e.g. a vendor parameter, to the last step
+   * @param {string} name 
+   * @param {string | string[]} value 
+   * @returns {this}
+   */
+  parameter(name, value) {
+    applyOptions(this.last("Parameter"), { parameters: { [name]: value } });
+    return this;
+  }
+
+  /**
+   * Start the path for the beginning of a range.
+   * The steps added so far become the common base of the range.
+   * @returns {this}
+   */
+  from() {
+    if (this.fromPath) throw new Error("Range start has already been started");
+    const piece = this.last("Range");
+    if (piece.nodeIndex % 2 || this.isTerminated(piece)) {
+      throw new Error("The base of a range must end with a step referencing an element");
+    }
+    this.fromPath = [];
+    return this;
+  }
+
+  /**
+   * Start the path for the end of a range
+   * @returns {this}
+   */
+  to() {
+    if (!this.fromPath) throw new Error("Range end must follow range start");
+    if (this.toPath) throw new Error("Range end has already been started");
+    if (!this.fromPath.length) throw new Error("Range start is empty");
+    this.toPath = [];
+    return this;
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
+    if (!this.parts[this.parts.length - 1].length) {
+      throw new Error(this.parts.length > 1 ? "Indirection must be followed by a step" : "CFI has no steps");
+    }
+
+    let str = this.parts.map(stringifyPart).join('!');
+    if (this.fromPath) {
+      if (!this.toPath || !this.toPath.length) throw new Error("Range end is empty");
+      str += ',' + stringifyPart(this.fromPath) + ',' + stringifyPart(this.toPath);
+    }
+    return `epubcfi(${str})`;
+  }
+
+  /**
+   * @param {Partial<Options>} [opts] - passed on to the CFI constructor
+   * @returns {CFI}
+   */
+  build(opts) {
+    return new CFI(this.toString(), opts);
+  }
 }
 
+export { CFISyntaxError };
 export default CFI;
@@ -0,0 +1,131 @@
+var { default: tape } = await import('tape');
+var { default: CFI } = await import('../index.js');
+
+// Allow these tests to run outside of the browser
+var JSDOM = (await import('jsdom')).JSDOM;
+
+function parseDOM(str, mimetype) {
+  return new JSDOM(str, {
+    contentType: mimetype
+  }).window.document;
+}
+
+var docs = await import('../test_data/from_spec.js');
+
+/**
+ * Convert a DOM node to a plain JSON tree like
+ * { type: 'element', name: 'p', attrs: { id: 'para05' }, children: [{ type: 'text', value: 'xxx' }] }
+ */
+function toJSON(node) {
+  switch (node.nodeType) {
+  case 9:
+    return { type: 'document', children: Array.from(node.childNodes, toJSON) };
+  case 1:
+    var attrs = {};
+    for (var attr of node.attributes) attrs[attr.name] = attr.value;
+    return { type: 'element', name: node.tagName, attrs: attrs, children: Array.from(node.childNodes, toJSON) };
+  case 3:
+    return { type: 'text', value: node.data };
+  case 4:
+    return { type: 'cdata', value: node.data };
+  default:
+    return { type: 'comment', value: node.textContent };
+  }
+}
+
+/**
+ * A tree adapter for the JSON trees, which have no parent references
+ */
+function createJSONAdapter(...roots) {
+  var parents = new WeakMap();
+  (function walk(nodes, parent) {
+    for (var node of nodes) {
+      if (parent) parents.set(node, parent);
+      walk(node.children || [], node);
+    }
+  })(roots, null);
+
+  var types = { document: 9, element: 1, text: 3, cdata: 4, comment: 8 };
+  return {
+    nodeType: (node) => types[node.type],
+    children: (node) => node.children || [],
+    parent: (node) => parents.get(node) || null,
+    tagName: (node) => node.name,
+    getAttribute: (node, name) => (name in node.attrs) ? node.attrs[name] : null,
+    text: (node) => node.value
+  };
+}
+
+function findByID(node, id) {
+  if (node.attrs && node.attrs.id === id) return node;
+  for (var child of node.children || []) {
+    var found = findByID(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+var htmlJSON = toJSON(parseDOM(docs.html, 'application/xhtml+xml'));
+var opfJSON = toJSON(parseDOM(docs.opf, 'application/xhtml+xml'));
+var htmlAdapter = createJSONAdapter(htmlJSON);
+var opfAdapter = createJSONAdapter(opfJSON);
+
+tape('JSON tree adapter', function(t) {
+
+  t.plan(13);
+
+  var para05 = findByID(htmlJSON, 'para05');
+  var opts = { adapter: htmlAdapter };
+
+  var bookmark = new CFI("epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5)").resolveLast(htmlJSON, opts);
+  t.deepEqual([bookmark.node, bookmark.offset], [para05.children[2], 5], "Resolve last");
+  t.equal(new CFI("epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5)").resolveURI(0, opfJSON, { adapter: opfAdapter }), 'chapter01.xhtml', "Resolve URI");
+
+  bookmark = new CFI("epubcfi(/4/10[nope]/3:2[,56])").resolveLast(htmlJSON, opts);
+  t.deepEqual([bookmark.node, bookmark.offset], [para05.children[2], 5], "Indexes and Text Location Assertion");
+
+  bookmark = new CFI("epubcfi(/4[body01]/12[para05]/1:1)").resolveLast(htmlJSON, opts);
+  t.equal(bookmark.node, para05.children[0], "ID lookup without getElementById()");
+
+  t.equal(CFI.generate(para05.children[2], 5, null, opts), 'epubcfi(/4[body01]/10[para05]/3:5)', "Generate");
+  t.equal(CFI.generate(para05.children[2], 5, null, Object.assign({ assertion: { before: 2, after: 2 }, ids: 'unique' }, opts)), 'epubcfi(/4[body01]/10[para05]/3:5[34,56])', "Generate with assertion and unique IDs");
+  t.equal(CFI.generate(para05, null, null, Object.assign({ relativeToNode: 'after' }, opts)), 'epubcfi(/4[body01]/11:0)', "Generate relative to node");
+
+  var range = new CFI("epubcfi(/4[body01]/10[para05],/3:2,/3:5)").resolveLast(htmlJSON, Object.assign({ range: true }, opts));
+  t.deepEqual([range.startContainer, range.startOffset, range.endContainer, range.endOffset], [para05.children[2], 2, para05.children[2], 5], "Range");
+
+  // Wrap the emphasis in an inserted element to ignore
+  var wrapped = JSON.parse(JSON.stringify(htmlJSON));
+  var wrappedPara = findByID(wrapped, 'para05');
+  wrappedPara.children[1] = { type: 'element', name: 'span', attrs: { 'class': 'highlight' }, children: [wrappedPara.children[1]] };
+  var filterOpts = { adapter: createJSONAdapter(wrapped), filter: { classes: ['highlight'] } };
+  t.equal(CFI.generate(wrappedPara.children[1].children[0], null, null, filterOpts), 'epubcfi(/4[body01]/10[para05]/2)', "Generate with filter");
+
+  t.equal(CFI.generateRange({ node: para05.children[2], offset: 2 }, { node: para05, offset: 2 }, opts), 'epubcfi(/4[body01]/10[para05],/3:2,/3:0)', "Generate range");
+  t.equal(CFI.generateRange({ node: wrappedPara.children[1], offset: 0 }, { node: wrappedPara.children[1], offset: 1 }, filterOpts), 'epubcfi(/4[body01]/10[para05],/1:3,/3:0)', "Generate range in an ignored element");
+
+  var xmlIDDoc = { type: 'document', children: [{ type: 'element', name: 'html', attrs: {}, children: [{ type: 'element', name: 'body', attrs: { 'xml:id': 'b1' }, children: [] }] }] };
+  bookmark = new CFI("epubcfi(/4[b1])").resolveLast(xmlIDDoc, { adapter: createJSONAdapter(xmlIDDoc) });
+  t.equal(bookmark.node, xmlIDDoc.children[0].children[0], "xml:id");
+
+  t.throws(function() {
+    new CFI("epubcfi(/4/10/3:5)").resolveLast(htmlJSON, { adapter: { nodeType: htmlAdapter.nodeType } });
+  }, /Tree adapter is missing children\(\)/, "Incomplete adapter");
+});
+
+tape('Resolve with a JSON tree adapter', function(t) {
+
+  t.plan(2);
+
+  var cfi = new CFI("epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5)");
+  var adapter = createJSONAdapter(opfJSON, htmlJSON);
+
+  cfi.resolve(opfJSON, function(uri) {
+    t.equal(uri, 'chapter01.xhtml', "Loads the content document");
+    return Promise.resolve(htmlJSON);
+  }, { adapter: adapter }).then(function(bookmark) {
+    t.equal(bookmark.offset, 5, "Resolve");
+  }, t.error);
+});
+
+export {};
@@ -0,0 +1,50 @@
+const debug = false; // Enable debug output?
+
+var { default: tape } = await import('tape');
+var { default: CFI } = await import('../index.js');
+
+tape('Builder', function(t) {
+
+  t.plan(18);
+
+  var cfi = CFI.builder()
+    .step(6).step(4, 'chap01ref')
+    .indirect()
+    .step(4, 'body01').step(10).step(3).offset(5)
+    .assert('pre', 'post')
+    .build();
+
+  t.ok(cfi instanceof CFI, "build() returns a CFI");
+  t.equal(cfi.toString(), "epubcfi(/6/4[chap01ref]!/4[body01]/10/3:5[pre,post])", "Simple CFI");
+
+  cfi = CFI.builder()
+    .step(4, 'a]b').step(3).offset(2).assert(undefined, 'x,y').sideBias('after')
+    .build();
+  t.equal(cfi.toString(), "epubcfi(/4[a^]b]/3:2[,x^,y;s=a])", "Escaping");
+
+  cfi = CFI.builder()
+    .step(6).step(4).indirect().step(4).step(10)
+    .from().step(3).offset(5)
+    .to().step(3).offset(8)
+    .build();
+  t.equal(cfi.toString(), "epubcfi(/6/4!/4/10,/3:5,/3:8)", "Range");
+  t.ok(cfi.isRange, "Range is parsed as a range");
+
+  cfi = CFI.builder().step(4).step(2).temporal(12.5).spatial(10, 20.5).parameter('vnd.foo', 'bar').build();
+  t.equal(cfi.toString(), "epubcfi(/4/2~12.5@10:20.5[;vnd.foo=bar])", "Temporal, spatial and parameters");
+
+  t.throws(function() { CFI.builder().step(3).step(2) }, "Step after text");
+  t.throws(function() { CFI.builder().step(3, 'foo') }, "ID on text");
+  t.throws(function() { CFI.builder().step(2).step(3).indirect() }, "Indirection after text");
+  t.throws(function() { CFI.builder().step(3).offset(1).step(2) }, "Step after offset");
+  t.throws(function() { CFI.builder().step(2).from().step(2).indirect() }, "Range spanning documents");
+  t.throws(function() { CFI.builder().step(2).from().step(2).build() }, "Range without end");
+  t.throws(function() { CFI.builder().step(2).spatial(50, 101) }, "Spatial out of range");
+  t.throws(function() { CFI.builder().step(4).step(3).offset(2).from() }, /base of a range/, "Range base ending in an offset");
+  t.throws(function() { CFI.builder().step(4).step(3).from() }, /base of a range/, "Range base ending in an odd step");
+  t.throws(function() { CFI.builder().step(4).sideBias('after') }, /Side bias must follow a character offset/, "Side bias without an offset");
+  t.throws(function() { CFI.builder().step(4).offset(2) }, /text \(odd\) step/, "Offset on an element");
+  t.throws(function() { CFI.builder().step(4).temporal(1).assert('a') }, /text \(odd\) step/, "Assertion on an element");
+});
+
+export {};
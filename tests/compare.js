@@ -127,4 +127,62 @@ tape('Compare', function(t) {
  
 });
 
+const toNormalize = [
+  { // Escaping of characters that do not need it
+    a: "epubcfi(/2/4[a^b]/6)",
+    normalized: "epubcfi(/2/4[ab]/6)"
+  },
+  { // Empty Text Location Assertion
+    a: "epubcfi(/2/4/3:5[,])",
+    normalized: "epubcfi(/2/4/3:5)"
+  },
+  { // Range with a shorter common base than needed
+    a: "epubcfi(/6/4!/4,/10/3:5,/10/3:8)",
+    normalized: "epubcfi(/6/4!/4/10,/3:5,/3:8)"
+  },
+  {
+    a: "epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5[34,67])",
+    normalized: "epubcfi(/6/4!/4/10/3:5)",
+    opts: { ignoreIDs: true, ignoreAssertions: true }
+  },
+  {
+    a: "epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5[34,67])",
+    normalized: "epubcfi(/6/4!/4/10/3:5[34,67])",
+    opts: { ignoreIDs: true }
+  }
+];
+
+tape('Normalize and equals', function(t) {
+
+  t.plan(toNormalize.length + 6);
+
+  for (let test of toNormalize) {
+    t.equal(CFI.normalize(test.a, test.opts), test.normalized, "Normalizing " + test.a);
+  }
+
+  t.ok(CFI.equals(
+    "epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5[34,67])",
+    "epubcfi(/6/4!/4/10/3:5)"
+  ), "IDs and assertions are ignored by default");
+
+  t.notOk(CFI.equals(
+    "epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5[34,67])",
+    "epubcfi(/6/4!/4/10/3:5)",
+    { ignoreIDs: false }
+  ), "IDs can be taken into account");
+
+  t.ok(CFI.equals(
+    new CFI("epubcfi(/6/4!/4,/10/3:5,/10/3:8)"),
+    new CFI("epubcfi(/6/4!/4/10,/3:5,/3:8)")
+  ), "Ranges with different base");
+
+  t.notOk(CFI.equals("epubcfi(/6/4!/4/10/3:5)", "epubcfi(/6/4!/4/10/3:6)"), "Different offsets");
+
+  const map = new Map();
+  map.set(new CFI("epubcfi(/2/4[foo]/6:1)").key(), 'a');
+  map.set(new CFI("epubcfi(/2/4/6:1[x])").key(), 'b');
+  t.equal(map.size, 1, "Equal CFIs produce the same key");
+  t.equal(map.get(new CFI("epubcfi(/2/4/6:1)").key()), 'b', "Key lookup");
+});
+
 export {};
@@ -1,7 +1,7 @@
 const debug = false; // Enable debug output?
 
 var { default: tape } = await import('tape');
-var { default: CFI } = await import('../index.js');
+var { default: CFI, CFISyntaxError } = await import('../index.js');
 
 // Allow these tests to run outside of the browser
 var JSDOM = (await import('jsdom')).JSDOM;
@@ -18,7 +18,7 @@ const htmlDOM = parseDOM(docs.html, 'application/xhtml+xml');
 
 tape('Odd and bad data', function(t) {
   
-  t.plan(10);
+  t.plan(15);
   
   var cfi, data;
 
@@ -42,10 +42,56 @@ tape('Odd and bad data', function(t) {
 
   t.throws(function() {new CFI("epubcfi(/2/4!6)")}, "Invalid CFI");
   
+  t.throws(function() {new CFI("epubcfi(/2@150:50)")}, CFISyntaxError, "Spatial coordinate out of range");
+
+  t.throws(function() {new CFI("epubcfi(/2@1.2.3:5)")}, CFISyntaxError, "Malformed spatial coordinate");
+
+  t.throws(function() {new CFI("epubcfi(/2~1@50)")}, CFISyntaxError, "Spatial offset with one coordinate");
+
+  t.throws(function() {new CFI("epubcfi(/2@-1:50)")}, CFISyntaxError, "Spatial offset without a number");
+
+  t.throws(function() {new CFI("epubcfi(/2~1.5.3)")}, CFISyntaxError, "Malformed temporal offset");
+  
   cfi = new CFI("epubcfi(/^3/^2)");
   data = cfi.get();
   t.deepEqual(data, [[{nodeIndex: 3}, {nodeIndex: 2}]], "Escaping the non-escapable");
 
 });
 
+function syntaxError(str) {
+  try {
+    new CFI(str);
+  } catch(err) {
+    return err;
+  }
+  return null;
+}
+
+tape('Syntax error details', function(t) {
+
+  t.plan(12);
+
+  var err = syntaxError("epubcfi(/2/f)");
+  t.ok(err instanceof CFISyntaxError, "Error is a CFISyntaxError");
+  t.ok(err instanceof Error, "CFISyntaxError is an Error");
+  t.equal(err.index, 11, "Index of offending character");
+  t.equal(err.character, 'f', "Offending character");
+  t.equal(err.state, '/', "Parser state");
+  t.deepEqual(err.expected, ['digit'], "Expected token");
+
+  err = syntaxError("epubcfi(/2/4!6)");
+  t.equal(err.index, 13, "Index after indirection");
+  t.deepEqual(err.expected, ["'/'"], "Expected step after indirection");
+
+  err = syntaxError("  epcfi(/2)");
+  t.equal(err.index, 4, "Index in header counts leading whitespace");
+  t.deepEqual(err.expected, ["'u'"], "Expected header character");
+
+  err = syntaxError("epubcfi(/2/4");
+  t.equal(err.character, '', "Missing closing bracket is reported at end of input");
+
+  err = syntaxError("epubcfi(/2,/4!/6,/8)");
+  t.equal(err.state, '!', "Range spanning documents is reported at the indirection");
+});
+
 export {};
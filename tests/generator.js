@@ -42,9 +42,9 @@ function generateAndCompare(t, dom, node, offset, cfi) {
 
 tape('Generator', function(t) {
 
-  t.plan(16);
+  t.plan(18);
 
-  var cfiStr = 'epubcfi(/2/4[body01]/10[para05]/3:5)';
+  var cfiStr = 'epubcfi(/4[body01]/10[para05]/3:5)';
   
   var node = htmlDOM.querySelector('#para05')?.lastChild;
   generateAndCompare(t, htmlDOM, node, 5, cfiStr)
@@ -52,11 +52,11 @@ tape('Generator', function(t) {
   node = nwHtmlDOM.querySelector('#para05')?.lastChild;
   generateAndCompare(t, nwHtmlDOM, node, 5, cfiStr)
 
-  cfiStr = 'epubcfi(/2/4/2[!/^[^]^,^;]/2/4[!/foo^^^[^]]/1:10)';
+  cfiStr = 'epubcfi(/4/2[!/^[^]^,^;]/2/4[!/foo^^^[^]]/1:10)';
   node = badDOM.getElementById('!/foo^[]')?.lastChild;
   generateAndCompare(t, badDOM, node, 1, cfiStr);
   
-  cfiStr = 'epubcfi(/6/4[chap01ref]!/2/4[body01]/16[svgimg]:1)';
+  cfiStr = 'epubcfi(/6/4[chap01ref]!/4[body01]/16[svgimg]:1)';
   var cfi = new CFI(cfiStr);
   var a = [
     { node: opfDOM.getElementById('chap01ref')},
@@ -65,7 +65,316 @@ tape('Generator', function(t) {
   var c = CFI.generate(a);
   
   t.equal(c, cfiStr, "Calling generator with array");
+
+  c = CFI.generate(htmlDOM.getElementById('svgimg'), null, ',/1:0,/1:1', { ids: 'none' });
+  t.equal(c, 'epubcfi(/4/16,/1:0,/1:1)', "Extra string and options");
+
+  c = CFI.generate(a, ',/1:0,/1:1', { ids: 'none' });
+  t.equal(c, 'epubcfi(/6/4!/4/16:1,/1:0,/1:1)', "Extra string and options with array");
  
 });
 
+tape('Generator temporal and spatial', function(t) {
+
+  t.plan(8);
+
+  var img = htmlDOM.getElementById('svgimg');
+
+  var c = CFI.generate(img, null, null, { spatial: { x: 33.5, y: 50.25 } });
+  t.equal(c, 'epubcfi(/4[body01]/16[svgimg]@33.5:50.25)', "Spatial");
+
+  var parsed = new CFI(c).get();
+  t.deepEqual(parsed[0][1].spatial, { x: 33.5, y: 50.25 }, "Fractional spatial coordinates are parsed");
+
+  c = CFI.generate(img, null, null, { temporal: 12.5, spatial: { x: 0, y: 100 } });
+  t.equal(c, 'epubcfi(/4[body01]/16[svgimg]~12.5@0:100)', "Temporal and spatial");
+  t.equal(new CFI(c).get()[0][1].temporal, 12.5, "Temporal is parsed");
+
+  c = CFI.generate([
+    { node: opfDOM.getElementById('chap01ref') },
+    { node: img }
+  ], null, { temporal: 3 });
+  t.equal(c, 'epubcfi(/6/4[chap01ref]!/4[body01]/16[svgimg]~3)', "Temporal with array calling convention");
+
+  t.throws(function() {
+    CFI.generate(img, null, null, { spatial: { x: 101, y: 50 } });
+  }, "Spatial coordinate out of range");
+
+  t.throws(function() {
+    CFI.generate(img, null, null, { temporal: -1 });
+  }, "Negative temporal offset");
+
+  t.throws(function() {
+    CFI.generate(img, 1, null, { temporal: 1 });
+  }, "Temporal offset together with character offset");
+});
+
+tape('Generator parameters', function(t) {
+
+  t.plan(4);
+
+  var node = htmlDOM.querySelector('#para05')?.lastChild;
+
+  var c = CFI.generate(node, 5, null, { parameters: { 'vnd.hl': 'v2', 'vnd.list': ['a', 'b,c'] } });
+  t.equal(c, 'epubcfi(/4[body01]/10[para05]/3:5[;vnd.hl=v2;vnd.list=a,b^,c])', "Parameters on text offset");
+  t.deepEqual(new CFI(c).get()[0][2].parameters, { 'vnd.hl': ['v2'], 'vnd.list': ['a', 'b,c'] }, "Parameters round-trip");
+
+  c = CFI.generate(htmlDOM.getElementById('para05'), null, null, { parameters: { 'vnd.hl': 'v2' } });
+  t.equal(c, 'epubcfi(/4[body01]/10[para05;vnd.hl=v2])', "Parameters on element");
+
+  t.throws(function() {
+    CFI.generate(node, 5, null, { parameters: { 'bad name': 'x' } });
+  }, "Invalid parameter name");
+});
+
+tape('Generator assertions and side bias', function(t) {
+
+  t.plan(12);
+
+  var node = htmlDOM.querySelector('#para05')?.lastChild;
+
+  var c = CFI.generate(node, 5, null, { assertion: { before: 3, after: 3 } });
+  t.equal(c, 'epubcfi(/4[body01]/10[para05]/3:5[234,567])', "Assertion");
+
+  c = CFI.generate(node, 1, null, { assertion: { before: 3, after: 3 }, sideBias: 'after' });
+  t.equal(c, 'epubcfi(/4[body01]/10[para05]/3:1[0,123;s=a])', "Assertion at start of text with side bias");
+
+  c = CFI.generate(node, 0, null, { sideBias: 'before' });
+  t.equal(c, 'epubcfi(/4[body01]/10[para05]/3:0[;s=b])', "Side bias with zero offset");
+
+  // Text split into several nodes is treated as a single CFI text node
+  var cdataDOM = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><p id="p">ab<![CDATA[c,d]]>ef</p></body></html>', 'application/xhtml+xml');
+  var p = cdataDOM.getElementById('p');
+  c = CFI.generate(p.lastChild, 0, null, { assertion: { before: 4, after: 2 } });
+  t.equal(c, 'epubcfi(/2/2[p]/1:5[bc^,d,ef])', "Assertion across text and CDATA nodes");
+
+  // Resolve against a revised document where the text has moved
+  c = CFI.generate(node, 5, null, { assertion: { before: 3, after: 3 } });
+  var revisedDOM = parseDOM(docs.html.replace('0123456789', 'ab0123456789'), 'application/xhtml+xml');
+  var bookmark = new CFI(c).resolveLast(revisedDOM);
+  t.equal(bookmark.node.textContent, 'ab0123456789', "Resolved node in revised document");
+  t.equal(bookmark.offset, 7, "Offset corrected using generated assertion");
+  bookmark = new CFI('epubcfi(/4[body01]/10[para05]/3:0[ab,01])').resolveLast(revisedDOM);
+  t.deepEqual([bookmark.node.textContent, bookmark.offset], ['ab0123456789', 2], "Assertion moves a zero offset");
+
+  c = CFI.generate([
+    { node: opfDOM.getElementById('chap01ref') },
+    { node: node, offset: 5 }
+  ], null, { assertion: { after: 2 } });
+  t.equal(c, 'epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5[,56])', "Assertion with array calling convention");
+
+  t.throws(function() {
+    CFI.generate(node, 5, null, { sideBias: 'left' });
+  }, "Invalid side bias");
+
+  var para = htmlDOM.getElementById('para05');
+  t.throws(function() {
+    CFI.generate(para, null, null, { sideBias: 'after' });
+  }, /only be generated for locations in text/, "Side bias on an element");
+
+  t.throws(function() {
+    CFI.generate(para, null, null, { assertion: { before: 3, after: 3 } });
+  }, /only be generated for locations in text/, "Assertion on an element");
+
+  t.throws(function() {
+    CFI.generate(para.lastChild, null, null, { relativeToNode: 'after', sideBias: 'after' });
+  }, /only be generated for locations in text/, "Side bias on the position after the last child");
+});
+
+tape('Range generator', function(t) {
+
+  t.plan(12);
+
+  var p = htmlDOM.getElementById('para05');
+  var range = htmlDOM.createRange();
+
+  range.setStart(p.lastChild, 2);
+  range.setEnd(p.lastChild, 8);
+  var c = CFI.generateRange(range);
+  t.equal(c, 'epubcfi(/4[body01]/10[para05],/3:2,/3:8)', "Range within text node");
+
+  var bookmark = new CFI(c).resolveLast(htmlDOM);
+  t.equal(bookmark.from.node, p.lastChild, "Resolved start node");
+  t.equal(bookmark.from.offset, 2, "Resolved start offset");
+  t.equal(bookmark.to.offset, 8, "Resolved end offset");
+
+  range.setStart(p.firstChild, 1);
+  range.setEnd(p.lastChild, 3);
+  c = CFI.generateRange(range, { assertion: { before: 2, after: 2 } });
+  t.equal(c, 'epubcfi(/4[body01]/10[para05],/1:1[x,xx],/3:3[12,34])', "Range across elements with assertions");
+
+  c = CFI.generateRange(
+    { node: p.firstChild, offset: 1 },
+    { node: p.lastChild, offset: 3 }
+  );
+  t.equal(c, 'epubcfi(/4[body01]/10[para05],/1:1,/3:3)', "Start and end pair");
+
+  // Element containers where the offset is a child index
+  range.setStart(p, 1);
+  range.setEnd(p, 2);
+  c = CFI.generateRange(range);
+  t.equal(c, 'epubcfi(/4[body01]/10[para05],/1:3,/3:0)', "Boundaries around element");
+
+  bookmark = new CFI(c).resolveLast(htmlDOM);
+  t.equal(bookmark.from.node, p.firstChild, "Resolved start before element");
+  t.equal(bookmark.from.offset, 3, "Resolved start offset before element");
+
+  var elemDOM = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><div id="e"></div><p/><p/></body></html>', 'application/xhtml+xml');
+  c = CFI.generateRange(
+    { node: elemDOM.getElementById('e'), offset: 0 },
+    { node: elemDOM.body, offset: 2 }
+  );
+  t.equal(c, 'epubcfi(/2,/2[e]/1:0,/5:0)', "Empty element and boundary between elements");
+
+  var div = elemDOM.getElementById('e');
+  c = CFI.generateRange({ node: div, offset: 0 }, { node: div, offset: 0 });
+  var r = new CFI(c).resolveLast(elemDOM, { range: true });
+  t.deepEqual([c, r.startContainer === div, r.startOffset, r.endContainer === div, r.endOffset], ['epubcfi(/2/2[e],/1:0,/1:0)', true, 0, true, 0], "Round trip of a range inside an empty element");
+
+  t.throws(function() {
+    CFI.generateRange({ node: p.firstChild, offset: 1 });
+  }, "Missing end of range");
+});
+
+tape('Publication generator', function(t) {
+
+  t.plan(5);
+
+  var node = htmlDOM.querySelector('#para05')?.lastChild;
+
+  var c = CFI.generateForPublication(opfDOM, 'chapter01.xhtml', node, 5);
+  t.equal(c, 'epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5)', "Generate from package document");
+
+  c = CFI.generateForPublication(opfDOM, './text/../chapter%30%31.xhtml#para05', node, 5, { sideBias: 'after' });
+  t.equal(c, 'epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5[;s=a])', "Relative and percent-encoded href");
+
+  c = CFI.generateForPublication(nwOpfDOM, 'chapter01.xhtml', nwHtmlDOM.querySelector('#para05')?.lastChild, 5);
+  t.equal(c, 'epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5)', "Package document without whitespace");
+
+  t.throws(function() {
+    CFI.generateForPublication(opfDOM, 'missing.xhtml', node, 5);
+  }, "Unknown href");
+
+  t.throws(function() {
+    CFI.generateForPublication(opfDOM, 'toc.xhtml', node, 5);
+  }, "Manifest item that is not in the spine");
+});
+
+tape('Generator virtual positions', function(t) {
+
+  t.plan(14);
+
+  /**
+   * Generate a position relative to a node and check that it resolves back to it
+   */
+  function roundTrip(dom, node, relativeToNode, cfiStr, msg) {
+    var c = CFI.generate(node, null, null, { relativeToNode: relativeToNode });
+    t.equal(c, cfiStr, msg);
+
+    var bookmark = new CFI(c).resolveLast(dom, { ignoreIDs: true });
+    t.deepEqual([bookmark.node, bookmark.relativeToNode], [node, relativeToNode], msg + " resolves to the same position");
+  }
+
+  var p = nwHtmlDOM.getElementById('para05');
+  var body = nwHtmlDOM.getElementById('body01');
+
+  roundTrip(nwHtmlDOM, p.firstChild, 'before', 'epubcfi(/4[body01]/10[para05]/0)', "Before first text node");
+  roundTrip(nwHtmlDOM, p.lastChild, 'after', 'epubcfi(/4[body01]/10[para05]/4)', "After last text node");
+  roundTrip(nwHtmlDOM, body.firstChild, 'before', 'epubcfi(/4[body01]/0)', "Before first element");
+  roundTrip(nwHtmlDOM, body.lastChild, 'after', 'epubcfi(/4[body01]/22)', "After last element");
+
+  var em = p.querySelector('em');
+  t.equal(CFI.generate(em, null, null, { relativeToNode: 'before' }), 'epubcfi(/4[body01]/10[para05]/1:3)', "Before element preceded by text");
+  t.equal(CFI.generate(em, null, null, { relativeToNode: 'after' }), 'epubcfi(/4[body01]/10[para05]/3:0)', "After element followed by text");
+  t.equal(CFI.generate(body.firstChild, null, null, { relativeToNode: 'after' }), 'epubcfi(/4[body01]/3:0)', "Between two elements");
+
+  var c = CFI.generate([
+    { node: opfDOM.getElementById('chap01ref') },
+    { node: nwHtmlDOM.getElementById('svgimg') }
+  ], null, { relativeToNode: 'before' });
+  t.equal(c, 'epubcfi(/6/4[chap01ref]!/4[body01]/15:0)', "Array calling convention");
+
+  t.throws(function() {
+    CFI.generate(nwHtmlDOM.documentElement, null, null, { relativeToNode: 'after' });
+  }, "Root element");
+
+  t.throws(function() {
+    CFI.generate(em, null, null, { relativeToNode: 'inside' });
+  }, "Invalid relativeToNode");
+});
+
+tape('Generator ID policy', function(t) {
+
+  t.plan(9);
+
+  var dom = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><div id="dup"><p id="dup">a<span id="highlight-1">b</span></p></div><section xml:id="sec1"><p>text</p></section></body></html>', 'application/xhtml+xml');
+  var node = dom.getElementById('highlight-1').firstChild;
+
+  t.equal(CFI.generate(node, 1), 'epubcfi(/2/2[dup]/2[dup]/2[highlight-1]/1:1)', "All IDs by default");
+  t.equal(CFI.generate(node, 1, null, { ids: 'none' }), 'epubcfi(/2/2/2/2/1:1)', "No IDs");
+  t.equal(CFI.generate(node, 1, null, { ids: 'unique' }), 'epubcfi(/2/2/2/2[highlight-1]/1:1)', "Only unique IDs");
+  t.equal(CFI.generate(node, 1, null, { ids: (id) => !id.startsWith('highlight-') }), 'epubcfi(/2/2[dup]/2[dup]/2/1:1)', "IDs matching a predicate");
+
+  var text = dom.querySelector('section p').firstChild;
+  t.equal(CFI.generate(text, 1), 'epubcfi(/2/4/2/1:1)', "xml:id is not used by default");
+  t.equal(CFI.generate(text, 1, null, { xmlIDs: true }), 'epubcfi(/2/4[sec1]/2/1:1)', "xml:id");
+
+  var bookmark = new CFI('epubcfi(/2/8[sec1]/2/1:1)').resolveLast(dom);
+  t.equal(bookmark.node, text, "Resolving uses xml:id");
+
+  var c = CFI.generate([
+    { node: opfDOM.getElementById('chap01ref') },
+    { node: htmlDOM.getElementById('para05').lastChild, offset: 5 }
+  ], null, { ids: 'none' });
+  t.equal(c, 'epubcfi(/6/4!/4/10/3:5)', "Array calling convention applies the policy to all entries");
+
+  t.throws(function() {
+    CFI.generate(node, 1, null, { ids: 'some' });
+  }, "Invalid ID policy");
+});
+
+tape('Generator and resolver filter', function(t) {
+
+  t.plan(13);
+
+  var pristine = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><p id="p">Hello <b>bold</b> world. Second sentence.</p></body></html>', 'application/xhtml+xml');
+  var live = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><span data-pagebreak="3"/><p id="p">Hello <b>bold</b> wor<mark class="hl">ld. Sec</mark>ond sentence.</p></body></html>', 'application/xhtml+xml');
+  var filter = { classes: ['hl'], attributes: ['data-pagebreak'] };
+
+  var mark = live.getElementsByTagName('mark')[0];
+  var after = mark.nextSibling;
+
+  t.equal(CFI.generate(pristine.getElementById('p').lastChild, 8), 'epubcfi(/2/2[p]/3:8)', "Pristine document");
+  t.equal(CFI.generate(mark.firstChild, 4, null, { filter: filter }), 'epubcfi(/2/2[p]/3:8)', "Text inside ignored element");
+  t.equal(CFI.generate(after, 3, null, { filter: filter }), 'epubcfi(/2/2[p]/3:14)', "Text split by ignored element");
+  t.equal(CFI.generate(after, 3), 'epubcfi(/2/4[p]/5:3)', "Without filter");
+  t.equal(CFI.generate(after, 3, null, { filter: (el) => el.localName === 'mark' || el.hasAttribute('data-pagebreak') }), 'epubcfi(/2/2[p]/3:14)', "Filter callback");
+
+  var bookmark = new CFI('epubcfi(/2/2[p]/3:8)').resolveLast(live, { filter: filter, ignoreIDs: true });
+  t.deepEqual([bookmark.node, bookmark.offset], [mark.firstChild, 4], "Resolve into ignored element");
+
+  bookmark = new CFI('epubcfi(/2/2[p]/3:14)').resolveLast(live, { filter: filter, ignoreIDs: true });
+  t.deepEqual([bookmark.node, bookmark.offset], [after, 3], "Resolve text split by ignored element");
+
+  bookmark = new CFI('epubcfi(/2/2[p]/3:2[,Second])').resolveLast(live, { filter: filter });
+  t.deepEqual([bookmark.node, bookmark.offset], [mark.firstChild, 4], "Assertion across ignored element");
+
+  var c = CFI.generateRange({ startContainer: mark, startOffset: 0, endContainer: after, endOffset: 3 }, { filter: filter });
+  t.equal(c, 'epubcfi(/2/2[p],/3:4,/3:14)', "Range starting in ignored element");
+
+  c = CFI.generate(live.getElementsByTagName('b')[0], null, null, { filter: filter, relativeToNode: 'after' });
+  t.equal(c, 'epubcfi(/2/2[p]/3:0)', "Position after element");
+
+  c = CFI.generate(live.getElementById('p'), null, null, { filter: filter, relativeToNode: 'before' });
+  t.equal(c, 'epubcfi(/2/0)', "Position before first element not ignored");
+
+  t.throws(function() {
+    CFI.generate(mark, null, null, { filter: filter });
+  }, "Ignored element");
+
+  var marked = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><p>One</p><mark class="hl" id="x"><span>In</span></mark><p>Two</p></body></html>', 'application/xhtml+xml');
+  bookmark = new CFI('epubcfi(/2/6[x]/1:1)').resolveLast(marked, { filter: filter });
+  t.deepEqual([bookmark.node, bookmark.offset], [marked.getElementsByTagName('p')[1].firstChild, 1], "IDs of ignored elements are not used");
+});
+
 export {};
@@ -0,0 +1,263 @@
+var { default: tape } = await import('tape');
+var { default: CFI } = await import('../index.js');
+var { readFileSync } = await import('fs');
+var zlib = await import('zlib');
+
+// Allow these tests to run outside of the browser
+var JSDOM = (await import('jsdom')).JSDOM;
+
+function parseDOM(str, mimetype) {
+  return new JSDOM(str, {
+    contentType: mimetype
+  }).window.document;
+}
+
+const dir = new URL('../test_data/unpacked/', import.meta.url).pathname;
+const cfiStr = 'epubcfi(/6/2[chap01ref]!/4[body01]/2[para01]/3:5)';
+
+/**
+ * A fetch() that serves the unpacked EPUB from https://example.com/book/
+ * and records the requested URIs
+ */
+function createFakeFetch(requested) {
+  return async function(uri) {
+    requested.push(uri);
+    const path = uri.replace('https://example.com/book/', '');
+    try {
+      const text = readFileSync(dir + path, 'utf8');
+      return { ok: true, status: 200, text: async () => text };
+    } catch(err) {
+      return { ok: false, status: 404, text: async () => '' };
+    }
+  };
+}
+
+tape('Loaders', function(t) {
+
+  t.plan(9);
+
+  var cfi = new CFI(cfiStr);
+  var load = CFI.createDirectoryLoader(dir, { parse: parseDOM });
+
+  cfi.resolve('OEBPS/content.opf', load).then(function(bookmark) {
+    t.deepEqual([bookmark.node.textContent, bookmark.offset], ['0123456789', 5], "Directory loader with relative manifest href");
+  }, t.error);
+
+  var requested = [];
+  var fetchLoad = CFI.createFetchLoader({ parse: parseDOM, fetch: createFakeFetch(requested) });
+
+  cfi.resolve('https://example.com/book/OEBPS/content.opf', fetchLoad).then(function(bookmark) {
+    t.equal(bookmark.node.textContent, '0123456789', "Fetch loader");
+    t.deepEqual(requested, [
+      'https://example.com/book/OEBPS/content.opf',
+      'https://example.com/book/OEBPS/text/chapter01.xhtml'
+    ], "Hrefs are resolved against the URI of the package document");
+  }, t.error);
+
+  var opfDOM = parseDOM(readFileSync(dir + 'OEBPS/content.opf', 'utf8'), 'application/xhtml+xml');
+  var loaded = [];
+  var loadAndRecord = function(uri) {
+    loaded.push(uri);
+    return load(uri);
+  };
+
+  cfi.resolve(opfDOM, loadAndRecord, { baseURI: 'OEBPS/content.opf' }).then(function(bookmark) {
+    t.equal(bookmark.node.textContent, '0123456789', "Document with baseURI option");
+    t.deepEqual(loaded, ['OEBPS/text/chapter01.xhtml'], "Href is resolved against baseURI");
+  }, t.error);
+
+  load('OEBPS/../../secret.xhtml').then(function() {
+    t.fail("Reading outside of the directory should fail");
+  }, function(err) {
+    t.ok(err instanceof Error, "URI outside of the directory");
+  });
+
+  var mimeTypes = [];
+  var recordLoad = CFI.createDirectoryLoader(dir, { parse: function(str, mimetype) {
+    mimeTypes.push(mimetype);
+    return parseDOM(str, mimetype);
+  } });
+
+  Promise.all(['OEBPS/content.opf', 'META-INF/container.xml', 'OEBPS/text/chapter01.xhtml'].map(recordLoad)).then(function() {
+    t.deepEqual(mimeTypes.sort(), ['application/oebps-package+xml', 'application/xhtml+xml', 'application/xml'], "Mimetypes guessed from the file extension");
+  }, t.error);
+
+  CFI.createFetchLoader({ parse: parseDOM, fetch: createFakeFetch([]) })('https://example.com/book/missing.xhtml').then(function() {
+    t.fail("Missing document should fail");
+  }, function(err) {
+    t.ok(/Failed to get/.test(err.message), "Fetch error");
+  });
+
+  t.throws(function() {
+    CFI.createDirectoryLoader(dir);
+  }, /DOMParser/, "Parse function is required without DOMParser");
+});
+
+/**
+ * Create a ZIP file from a list of { name, data, store } entries.
+ * Entries are deflated unless store is true.
+ */
+function createZip(files) {
+  var locals = [];
+  var centrals = [];
+  var offset = 0;
+
+  for (var file of files) {
+    var name = Buffer.from(file.name);
+    var data = Buffer.from(file.data);
+    var compressed = file.store ? data : zlib.deflateRawSync(data);
+    var crc = zlib.crc32 ? zlib.crc32(data) : 0;
+
+    var local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(file.store ? 0 : 8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    var central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(file.store ? 0 : 8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  var cd = Buffer.concat(centrals);
+  var eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat(locals.concat([cd, eocd]));
+}
+
+tape('Publication archive', function(t) {
+
+  t.plan(9);
+
+  var zip = createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: readFileSync(dir + 'META-INF/container.xml') },
+    { name: 'OEBPS/content.opf', data: readFileSync(dir + 'OEBPS/content.opf') },
+    // Differs in case from the href in the manifest
+    { name: 'OEBPS/Text/Chapter01.xhtml', data: readFileSync(dir + 'OEBPS/text/chapter01.xhtml') },
+    { name: 'OEBPS/text/chapter 02.xhtml', data: '<html xmlns="http://www.w3.org/1999/xhtml"/>' }
+  ]);
+
+  CFI.openPublication(zip, { parse: parseDOM }).then(function(pub) {
+    t.deepEqual(pub.list(), ['mimetype', 'META-INF/container.xml', 'OEBPS/content.opf', 'OEBPS/Text/Chapter01.xhtml', 'OEBPS/text/chapter 02.xhtml'], "List entries");
+    t.equal(pub.find('OEBPS/text/chapter%2002.xhtml').name, 'OEBPS/text/chapter 02.xhtml', "Percent-encoded path");
+    t.equal(pub.find('OEBPS/text/chapter01.xhtml').name, 'OEBPS/Text/Chapter01.xhtml', "Case mismatch");
+
+    pub.readText('mimetype').then(function(text) {
+      t.equal(text, 'application/epub+zip', "Stored entry");
+    }, t.error);
+
+    pub.read('OEBPS/missing.xhtml').then(function() {
+      t.fail("Missing entry should fail");
+    }, function(err) {
+      t.ok(/not found/.test(err.message), "Missing entry");
+    });
+
+    new CFI(cfiStr).resolve('OEBPS/content.opf', pub.fetch).then(function(bookmark) {
+      t.deepEqual([bookmark.node.textContent, bookmark.offset], ['0123456789', 5], "Resolve against zipped publication");
+    }, t.error);
+  }, t.error);
+
+  CFI.openPublication(Buffer.from('not a zip file')).then(function() {
+    t.fail("Opening something that is not a ZIP file should fail");
+  }, function(err) {
+    t.ok(/ZIP/.test(err.message), "Not a ZIP file");
+  });
+
+  // The central directory of a single stored entry starts after its 30 byte
+  // local header, 8 byte name and 20 bytes of data
+  var badOffset = createZip([{ name: 'mimetype', data: 'application/epub+zip', store: true }]);
+  badOffset.writeUInt32LE(badOffset.length, 58 + 42);
+  CFI.openPublication(badOffset).then(function() {
+    t.fail("Local header offset past the end of the file should fail");
+  }, function(err) {
+    t.ok(/past the end of the file/.test(err.message), "Local header offset out of bounds");
+  });
+
+  var badSize = createZip([{ name: 'mimetype', data: 'application/epub+zip', store: true }]);
+  badSize.writeUInt32LE(badSize.length, 58 + 20);
+  CFI.openPublication(badSize).then(function(pub) {
+    return pub.read('mimetype');
+  }).then(function() {
+    t.fail("Entry extending past the end of the file should fail");
+  }, function(err) {
+    t.ok(/past the end of the file/.test(err.message), "Entry data out of bounds");
+  });
+});
+
+tape('Publication root', function(t) {
+
+  t.plan(11);
+
+  var containerDOM = parseDOM(readFileSync(dir + 'META-INF/container.xml', 'utf8'), 'application/xhtml+xml');
+  t.equal(CFI.findRootfile(containerDOM), 'OEBPS/content.opf', "Default rootfile");
+
+  var multiDOM = parseDOM(`<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:rendition="http://www.idpf.org/2013/rendition">
+  <rootfiles>
+    <rootfile full-path="reflow/content.opf" media-type="application/oebps-package+xml"/>
+    <rootfile full-path="fixed/content.opf" media-type="application/oebps-package+xml" rendition:layout="pre-paginated"/>
+    <rootfile full-path="book.pdf" media-type="application/pdf"/>
+  </rootfiles>
+</container>`, 'application/xhtml+xml');
+
+  t.equal(CFI.findRootfile(multiDOM), 'reflow/content.opf', "First rootfile is the default rendition");
+  t.equal(CFI.findRootfile(multiDOM, { rendition: { layout: 'pre-paginated' } }), 'fixed/content.opf', "Rendition selection attributes");
+  t.equal(CFI.findRootfile(multiDOM, { rendition: (el) => el.getAttribute('full-path').startsWith('fixed/') }), 'fixed/content.opf', "Rendition selection function");
+  t.equal(CFI.findRootfile(multiDOM, { mediaType: 'application/pdf' }), 'book.pdf', "Media type");
+  t.throws(function() {
+    CFI.findRootfile(multiDOM, { rendition: { layout: 'scrolled' } });
+  }, /No matching rootfile/, "No matching rendition");
+
+  var cfi = new CFI(cfiStr);
+  var load = CFI.createDirectoryLoader(dir, { parse: parseDOM });
+
+  cfi.resolveFromRoot(load).then(function(bookmark) {
+    t.deepEqual([bookmark.node.textContent, bookmark.offset], ['0123456789', 5], "Resolve from the root of an unpacked publication");
+  }, t.error);
+
+  var requested = [];
+  var fetchLoad = CFI.createFetchLoader({ parse: parseDOM, fetch: createFakeFetch(requested) });
+
+  cfi.resolveFromRoot(fetchLoad, { root: 'https://example.com/book' }).then(function(bookmark) {
+    t.deepEqual(requested, [
+      'https://example.com/book/META-INF/container.xml',
+      'https://example.com/book/OEBPS/content.opf',
+      'https://example.com/book/OEBPS/text/chapter01.xhtml'
+    ], "Resolve from a root URI");
+  }, t.error);
+
+  var chapterDOM = parseDOM(readFileSync(dir + 'OEBPS/text/chapter01.xhtml', 'utf8'), 'application/xhtml+xml');
+  var node = chapterDOM.getElementById('para01').lastChild;
+
+  CFI.generateFromRoot(load, 'OEBPS/text/chapter01.xhtml', node, 5).then(function(c) {
+    t.equal(c, cfiStr, "Generate from the root of the publication");
+  }, t.error);
+
+  var opfDOM = parseDOM(readFileSync(dir + 'OEBPS/content.opf', 'utf8'), 'application/xhtml+xml');
+  t.equal(CFI.generateForPublication(opfDOM, 'OEBPS/text/chapter01.xhtml', node, 5, { packagePath: 'OEBPS/content.opf' }), cfiStr, "Content path relative to the root");
+  t.equal(CFI.generateForPublication(opfDOM, 'text/chapter01.xhtml', node, 5), cfiStr, "Content href relative to the package document");
+});
+
+export {};
@@ -0,0 +1,74 @@
+var { default: tape } = await import('tape');
+var { default: CFI } = await import('../index.js');
+
+// Allow these tests to run outside of the browser
+var JSDOM = (await import('jsdom')).JSDOM;
+
+function parseDOM(str, mimetype) {
+  return new JSDOM(str, {
+    contentType: mimetype
+  }).window.document;
+}
+
+const mediaDOM = parseDOM(`<html xmlns="http://www.w3.org/1999/xhtml"><body>
+<video id="video01" width="640" height="360" src="clip.mp4"></video>
+<audio id="audio01" src="chapter01.mp3"></audio>
+<img id="img01" width="800" height="1200" src="page01.png" alt=""/>
+<svg xmlns="http://www.w3.org/2000/svg" id="svg01" width="400" height="300" viewBox="100 50 800 600">
+<image id="image01" x="10" y="20" width="200" height="100" href="panel01.png"/>
+</svg>
+<img id="img02" src="unknown.png" alt=""/>
+</body></html>`, 'application/xhtml+xml');
+
+tape('Media resolver', function(t) {
+
+  t.plan(9);
+
+  var video = mediaDOM.getElementById('video01');
+  var location = new CFI("epubcfi(/2/2[video01]~12.5@50:25)").resolveLast(mediaDOM);
+  t.equal(CFI.seekMedia(location), 12.5, "Seek returns the time");
+  t.equal(video.currentTime, 12.5, "Seek video");
+
+  t.deepEqual(CFI.spatialToPixels(location), { x: 320, y: 90 }, "Video size attributes");
+  t.deepEqual(CFI.spatialToPixels(location, { width: 1920, height: 1080 }), { x: 960, y: 270 }, "Given size");
+
+  location = new CFI("epubcfi(/2/6[img01]@25:50)").resolveLast(mediaDOM);
+  t.deepEqual(CFI.spatialToPixels(location), { x: 200, y: 600 }, "Image");
+
+  location = new CFI("epubcfi(/2/8[svg01]@50:50)").resolveLast(mediaDOM);
+  t.deepEqual(CFI.spatialToPixels(location), { x: 500, y: 350 }, "SVG viewBox");
+
+  location = new CFI("epubcfi(/2/8[svg01]/2[image01]@50:100)").resolveLast(mediaDOM);
+  t.deepEqual(CFI.spatialToPixels(location), { x: 110, y: 120 }, "SVG image");
+
+  t.throws(function() {
+    CFI.spatialToPixels(new CFI("epubcfi(/2/10[img02]@50:50)").resolveLast(mediaDOM));
+  }, /Unknown size/, "Image without a size");
+
+  t.throws(function() {
+    CFI.seekMedia(new CFI("epubcfi(/2/6[img01]~3)").resolveLast(mediaDOM));
+  }, /not an audio or video element/, "Seek an image");
+});
+
+tape('Media generator', function(t) {
+
+  t.plan(5);
+
+  var img = mediaDOM.getElementById('img01');
+  img.getBoundingClientRect = function() {
+    return { left: 100, top: 50, width: 400, height: 600, right: 500, bottom: 650, x: 100, y: 50 };
+  };
+  t.equal(CFI.generateFromPoint(img, 200, 200), 'epubcfi(/2/6[img01]@25:25)', "Generate from a point");
+  t.equal(CFI.generateFromPoint(img, 233, 650), 'epubcfi(/2/6[img01]@33.25:100)', "Fractional point on the edge");
+  t.equal(CFI.generateFromPoint(img, 0, 700), 'epubcfi(/2/6[img01]@0:100)', "Point outside is clamped");
+
+  var audio = mediaDOM.getElementById('audio01');
+  audio.currentTime = 61.0004;
+  t.equal(CFI.generateFromMedia(audio), 'epubcfi(/2/4[audio01]~61)', "Generate from the current time");
+
+  t.throws(function() {
+    CFI.generateFromMedia(img);
+  }, /Not an audio or video element/, "Generate from an image");
+});
+
+export {};
@@ -357,7 +357,7 @@ var tests = [
       }
     }
   }, {
-    cfi: "epubcfi(/6/14[cha!/p05ref]!/4[bo!/dy01]/10/2/1[foo]~42.43@100:101)",
+    cfi: "epubcfi(/6/14[cha!/p05ref]!/4[bo!/dy01]/10/2/1[foo]~42.43@100:100)",
     parsed: [
       [
         {
@@ -385,13 +385,13 @@ var tests = [
           "temporal": 42.43,
           "spatial": {
             "x": 100,
-            "y": 101
+            "y": 100
           }
         }
       ]
     ]
   }, { // test that offset and tempora/spatial are ignored on all but last subpart
-    cfi: "epubcfi(/2~42.43@100:101/4!/6/8:100/6:200)",
+    cfi: "epubcfi(/2~42.43@100:100/4!/6/8:100/6:200)",
     parsed: [
       [
         { "nodeIndex": 2 },
@@ -403,6 +403,73 @@ var tests = [
         { "nodeIndex": 6, "offset": 200 }
       ]
     ]
+  }, { // Test parameters other than side bias
+    cfi: "epubcfi(/4[body01;vnd.foo=1]/3:5[pre,post;vnd.hl=2,b^,c;s=a])",
+    parsed: [
+      [
+        {
+          "nodeIndex": 4,
+          "nodeID": "body01",
+          "parameters": {
+            "vnd.foo": ["1"]
+          }
+        },
+        {
+          "nodeIndex": 3,
+          "offset": 5,
+          "textLocationAssertion": {
+            "pre": "pre",
+            "post": "post"
+          },
+          "parameters": {
+            "vnd.hl": ["2", "b,c"]
+          },
+          "sideBias": "after"
+        }
+      ]
+    ]
+  }, { // Test that escaped semicolons are not parameters
+    cfi: "epubcfi(/4/3:5[foo^;s^=a])",
+    parsed: [
+      [
+        {
+          "nodeIndex": 4
+        },
+        {
+          "nodeIndex": 3,
+          "offset": 5,
+          "textLocationAssertion": "foo;s=a"
+        }
+      ]
+    ]
+  }, { // Test that a flattened range is parsed as the start of the range
+    cfi: "epubcfi(/6/4!/4,/10/3:5,/10/3:8)",
+    parseOpts: { flattenRange: true },
+    parsed: [
+      [
+        { "nodeIndex": 6 },
+        { "nodeIndex": 4 }
+      ],
+      [
+        { "nodeIndex": 4 },
+        { "nodeIndex": 10 },
+        { "nodeIndex": 3, "offset": 5 }
+      ]
+    ]
+  }, {
+    cfi: "epubcfi(/4[body01]/10[para05],/3:5,/3:8)",
+    parseOpts: { flattenRange: true },
+    parsed: [
+      [
+        { "nodeIndex": 4, "nodeID": "body01" },
+        { "nodeIndex": 10, "nodeID": "para05" },
+        { "nodeIndex": 3, "offset": 5 }
+      ]
+    ],
+    resolved: {
+      node: "0123456789",
+      offset: 5
+    }
   }, { // Test that parser ignores vender extensions
     cfi: "epubcfi(/2/4vnd.foo/6foo.bar:20)",
     parsed: [
@@ -431,6 +498,7 @@ for (let test of tests) {
   
 const opfDOM = parseDOM(docs.opf, 'application/xhtml+xml');
 const htmlDOM = parseDOM(docs.html, 'application/xhtml+xml');
+const nwHtmlDOM = parseDOM((await import('../test_data/no_whitespace.js')).html, 'application/xhtml+xml');
 
 tape('Simple tests', function(t) {
   
@@ -439,7 +507,7 @@ tape('Simple tests', function(t) {
   var uri, bookmark;
   for(let test of tests) {
     try {
-      const cfi = new CFI(test.cfi);
+      const cfi = new CFI(test.cfi, test.parseOpts);
       
       if(debug) console.log("parsed:", JSON.stringify(cfi.get(), null, 2));
 
@@ -473,4 +541,243 @@ tape('Simple tests', function(t) {
 
 });
 
+tape('Range resolver', function(t) {
+
+  t.plan(9);
+
+  var range = new CFI("epubcfi(/4[body01]/10[para05],/3:5,/3:8)").resolveLast(htmlDOM, { range: true });
+  t.equal(range.toString(), "567", "Range within text node");
+  t.equal(range.startContainer, htmlDOM.getElementById('para05').lastChild, "Start container");
+
+  range = new CFI("epubcfi(/4[body01]/10[para05],/2,/3:3)").resolveLast(htmlDOM, { range: true });
+  t.equal(range.toString(), "yyy012", "Range starting with element");
+
+  range = new CFI("epubcfi(/4[body01]/10[para05],/1:1,/2)").resolveLast(htmlDOM, { range: true });
+  t.equal(range.toString(), "xxyyy", "Range ending with element");
+
+  range = new CFI("epubcfi(/4[body01]/10[para05],/0,/4)").resolveLast(htmlDOM, { range: true });
+  t.equal(range.toString(), "xxxyyy0123456789", "Range from before first to after last child");
+
+  var doc = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><p id="s">abc</p></body></html>', 'application/xhtml+xml');
+  var p = doc.getElementById('s');
+  p.appendChild(doc.createTextNode('def'));
+
+  range = new CFI("epubcfi(/2/2[s],/1:3,/1:5)").resolveLast(doc, { range: true });
+  t.equal(range.startContainer, p.lastChild, "Position between text nodes");
+
+  range = new CFI("epubcfi(/2/2[s],/1:3[;s=b],/1:5)").resolveLast(doc, { range: true });
+  t.deepEqual([range.startContainer, range.startOffset], [p.firstChild, 3], "Side bias moves position to previous text node");
+
+  doc = parseDOM(docs.html, 'application/xhtml+xml');
+  doc.createRange = undefined;
+  var text = doc.getElementById('para05').lastChild;
+
+  range = new CFI("epubcfi(/4[body01]/10[para05],/3:5,/3:8)").resolveLast(doc, { range: true });
+  t.deepEqual(range, {
+    startContainer: text,
+    startOffset: 5,
+    endContainer: text,
+    endOffset: 8,
+    collapsed: false
+  }, "Plain object without createRange()");
+
+  range = new CFI("epubcfi(/4[body01]/10[para05],/3:5,/3:5)").resolveLast(doc, { range: true });
+  t.equal(range.collapsed, true, "Collapsed plain object");
+});
+
+tape('Resolver diagnostics', function(t) {
+
+  t.plan(12);
+
+  function diagnose(cfi, opts) {
+    var bookmark = new CFI(cfi).resolveLast(htmlDOM, Object.assign({ diagnostics: true }, opts));
+    return bookmark.diagnostics.map(function(d) {
+      var o = Object.assign({}, d);
+      delete o.node;
+      return o;
+    });
+  }
+
+  var para05 = htmlDOM.getElementById('para05');
+  var bookmark = new CFI("epubcfi(/4[body01]/10[para05]/3:5)").resolveLast(htmlDOM, { diagnostics: true });
+  t.deepEqual(bookmark.diagnostics.map((d) => d.node), [para05.parentNode, para05, para05.lastChild], "Nodes of each step");
+
+  t.deepEqual(diagnose("epubcfi(/4[body01]/10[para05]/3:5)"), [
+    { nodeIndex: 4, nodeID: 'body01', id: 'matched', skipped: true },
+    { nodeIndex: 10, nodeID: 'para05', id: 'matched', usedID: true },
+    { nodeIndex: 3 }
+  ], "IDs and indexes agree");
+
+  t.deepEqual(diagnose("epubcfi(/4[body01]/12[para05]/3:5)")[1], 
+    { nodeIndex: 12, nodeID: 'para05', id: 'mismatch', usedID: true }, "ID located elsewhere than index");
+
+  t.deepEqual(diagnose("epubcfi(/4[body01]/10[nope]/3:5)").slice(0, 2), [
+    { nodeIndex: 4, nodeID: 'body01', id: 'matched', usedID: true },
+    { nodeIndex: 10, nodeID: 'nope', id: 'missing' }
+  ], "Missing ID");
+
+  t.deepEqual(diagnose("epubcfi(/4[body01]/10[para05]/3:5)", { ignoreIDs: true })[1],
+    { nodeIndex: 10, nodeID: 'para05', id: 'ignored' }, "Ignored ID");
+
+  t.deepEqual(diagnose("epubcfi(/4/10/9)")[2], 
+    { nodeIndex: 9, relativeToNode: 'after', clampedIndex: { requested: 9, max: 4 } }, "Index past the last child");
+
+  t.deepEqual(diagnose("epubcfi(/4/10/4)")[2], { nodeIndex: 4, relativeToNode: 'after' }, "Position after the last child");
+
+  t.deepEqual(diagnose("epubcfi(/4/10/3:50)")[2],
+    { nodeIndex: 3, clampedOffset: { requested: 50, length: 10 } }, "Offset past the end of the text");
+
+  t.deepEqual(diagnose("epubcfi(/4/10/3:5[,56;s=b])")[2],
+    { nodeIndex: 3, assertion: 'matched', sideBias: 'before' }, "Assertion matched and side bias");
+
+  t.deepEqual(diagnose("epubcfi(/4/10/3:2[,56])")[2],
+    { nodeIndex: 3, assertion: 'relocated', distance: 3 }, "Assertion relocated");
+
+  t.deepEqual(diagnose("epubcfi(/4/10/3:2[,zz])")[2],
+    { nodeIndex: 3, assertion: 'missing' }, "Assertion missing");
+
+  bookmark = new CFI("epubcfi(/4/3/1)").resolveLast(nwHtmlDOM, { diagnostics: true });
+  t.deepEqual([bookmark.diagnostics[1].parityMismatch, new CFI("epubcfi(/4/3)").resolveLast(nwHtmlDOM, { diagnostics: true }).diagnostics[1].virtualText], [true, true], "Odd index resolved to element");
+});
+
+tape('Fuzzy text location assertions', function(t) {
+
+  t.plan(10);
+
+  var original = parseDOM(`<html xmlns="http://www.w3.org/1999/xhtml"><body>
+<p id="p1">The quick brown fox jumps over the lazy dog.</p>
+<p id="p2">Pack my box with five dozen liquor jugs.</p>
+</body></html>`, 'application/xhtml+xml');
+
+  // Generate a CFI before "jumps" and resolve it in a revised document
+  var cfi = new CFI(CFI.generate(original.getElementById('p1').firstChild, 20, null, { assertion: { before: 10, after: 10 } }));
+  t.equal(cfi.toString(), "epubcfi(/2/2[p1]/1:20[brown fox ,jumps over])", "Generated assertion");
+
+  var revised = parseDOM(`<html xmlns="http://www.w3.org/1999/xhtml"><body>
+<p id="p1">A <em>very</em> quick brown fax jumps ovr the lazy dog.</p>
+<p id="p2">Pack my box with five dozen liquor jugs.</p>
+</body></html>`, 'application/xhtml+xml');
+
+  var bookmark = cfi.resolveLast(revised);
+  t.equal(bookmark.confidence, undefined, "No confidence without fuzzy matching");
+
+  bookmark = cfi.resolveLast(revised, { fuzzy: true, diagnostics: true });
+  t.deepEqual([bookmark.node.textContent.slice(bookmark.offset, bookmark.offset + 5), bookmark.confidence], ['jumps', 0.9], "Approximate match in another text node");
+  var diagnostic = Object.assign({}, bookmark.diagnostics[2]);
+  delete diagnostic.node;
+  t.deepEqual(diagnostic, { nodeIndex: 1, clampedOffset: { requested: 20, length: 2 }, assertion: 'approximate', distance: 3, editDistance: 2 }, "Approximate match diagnostics");
+
+  t.equal(cfi.resolveLast(revised, { fuzzy: { maxDistance: 1 } }).confidence, 0, "More edits than maxDistance");
+  t.equal(cfi.resolveLast(revised, { fuzzy: { radius: 2, maxDistance: 3 } }).confidence, 0, "Match outside of radius");
+  t.equal(cfi.resolveLast(original, { fuzzy: true }).confidence, 1, "Exact match");
+
+  // The text moved to another paragraph
+  var moved = new CFI("epubcfi(/2/4[p2]/1:5[Pack ,my box])");
+  var movedDOM = parseDOM(`<html xmlns="http://www.w3.org/1999/xhtml"><body>
+<p id="p1">The quick brown fox. Pack my box with five dozen liquor jugs.</p>
+<p id="p2">Something else entirely.</p>
+</body></html>`, 'application/xhtml+xml');
+  t.equal(moved.resolveLast(movedDOM, { fuzzy: true }).confidence, 0, "Block scope");
+  bookmark = moved.resolveLast(movedDOM, { fuzzy: { scope: 'document' } });
+  t.deepEqual([bookmark.node.parentNode.id, bookmark.offset, bookmark.confidence], ['p1', 26, 1], "Document scope");
+
+  bookmark = new CFI("epubcfi(/2/4[p2]/1:0[,Pack my])").resolveLast(movedDOM, { fuzzy: { scope: 'document' } });
+  t.deepEqual([bookmark.node.parentNode.id, bookmark.offset, bookmark.confidence], ['p1', 21, 1], "Document scope with a zero offset");
+});
+
+tape('Resolve strategies', function(t) {
+
+  t.plan(15);
+
+  var para05 = htmlDOM.getElementById('para05');
+  var para06 = para05.nextElementSibling;
+  function resolve(cfi, opts) {
+    return new CFI(cfi).resolveLast(htmlDOM, opts);
+  }
+
+  t.equal(resolve("epubcfi(/4[body01]/12[para05])").node, para05, "ID first by default");
+  t.equal(resolve("epubcfi(/4[body01]/12[para05])", { strategy: 'path-first' }).node, para06, "Path first");
+  t.equal(resolve("epubcfi(/4[body01]/12[para05]/3:5)", { strategy: 'path-first' }).node, para05.lastChild, "Path first falls back to IDs");
+
+  t.equal(resolve("epubcfi(/4[body01]/10[para05]/3:5)", { strategy: 'verified' }).offset, 5, "Verified without conflict");
+  t.throws(function() {
+    resolve("epubcfi(/4[body01]/12[para05])", { strategy: 'verified' });
+  }, /ID 'para05' is on another element than index 12/, "Conflict throws by default");
+  t.equal(resolve("epubcfi(/4[body01]/12[para05]/1:0)", { strategy: 'verified', onConflict: 'prefer-id' }).node, para05.firstChild, "Prefer ID");
+  t.equal(resolve("epubcfi(/4[body01]/12[para05]/1:0)", { strategy: 'verified', onConflict: 'prefer-path' }).node, para06.firstChild, "Prefer path");
+
+  var bookmark = resolve("epubcfi(/4[body01]/12[para05]/1:0)", { strategy: 'verified', onConflict: 'report' });
+  t.equal(bookmark.node, para06.firstChild, "Report uses the path");
+  t.deepEqual([bookmark.conflict.byPath.node, bookmark.conflict.byID.node], [para06.firstChild, para05.firstChild], "Report both locations");
+  t.deepEqual(bookmark.conflict.steps, [{ nodeIndex: 12, nodeID: 'para05', pathNode: para06, idNode: para05 }], "Report conflicting steps");
+
+  bookmark = resolve("epubcfi(/4[body01]/12[para05])", { strategy: 'verified', onConflict: 'prefer-id', diagnostics: true });
+  var diagnostic = Object.assign({}, bookmark.diagnostics[1]);
+  delete diagnostic.node;
+  t.deepEqual(diagnostic, { nodeIndex: 12, nodeID: 'para05', id: 'mismatch', usedID: true }, "Diagnostics of preferred ID");
+
+  t.throws(function() {
+    resolve("epubcfi(/4[body01]/10[para05])", { strategy: 'fastest' });
+  }, /Unknown resolve strategy/, "Unknown strategy");
+  t.throws(function() {
+    resolve("epubcfi(/4[body01]/10[para05])", { strategy: 'verified', onConflict: 'ignore' });
+  }, /Unknown conflict policy/, "Unknown conflict policy");
+  t.throws(function() {
+    resolve("epubcfi(/4[body01]/99[para05]/3:5)", { strategy: 'path-first', ignoreIDs: true });
+  }, /path of the CFI can not be followed/, "Path first without IDs to fall back to");
+  t.throws(function() {
+    resolve("epubcfi(/4[body01]/12[para05])", { onConflict: 'prefer-path' });
+  }, /only be used with the 'verified' strategy/, "Conflict policy without the verified strategy");
+});
+
+tape('Offset units', function(t) {
+
+  t.plan(14);
+
+  var doc = parseDOM(`<html xmlns="http://www.w3.org/1999/xhtml"><body>
+<p id="p1">a\u{1F600}be\u0301c</p>
+<p id="p2">\u{1F600}\u{1F600}</p>
+</body></html>`, 'application/xhtml+xml');
+
+  // Before 'c' is 6 UTF-16 code units, 5 code points or 4 graphemes
+  var text = doc.getElementById('p1').firstChild;
+  t.equal(CFI.generate(text, 6), 'epubcfi(/2/2[p1]/1:6)', "UTF-16 by default");
+  t.equal(CFI.generate(text, 6, null, { offsetUnit: 'codepoint' }), 'epubcfi(/2/2[p1]/1:5)', "Generate code points");
+  t.equal(CFI.generate(text, 6, null, { offsetUnit: 'grapheme' }), 'epubcfi(/2/2[p1]/1:4)', "Generate graphemes");
+  t.equal(CFI.generate(text, 6, null, { offsetUnit: 'grapheme', assertion: { before: 2, after: 1 } }), 'epubcfi(/2/2[p1]/1:4[be\u0301,c])', "Assertion lengths in graphemes");
+
+  t.equal(new CFI("epubcfi(/2/2[p1]/1:5)").resolveLast(doc, { offsetUnit: 'codepoint' }).offset, 6, "Resolve code points");
+  t.equal(new CFI("epubcfi(/2/2[p1]/1:4)").resolveLast(doc, { offsetUnit: 'grapheme' }).offset, 6, "Resolve graphemes");
+
+  var bookmark = new CFI("epubcfi(/2/2[p1]/1:1[be\u0301,c])").resolveLast(doc, { offsetUnit: 'grapheme', diagnostics: true });
+  t.deepEqual([bookmark.offset, bookmark.diagnostics[2].distance], [6, 3], "Assertion relocates in graphemes");
+
+  var p2 = doc.getElementById('p2');
+  p2.appendChild(doc.createTextNode('x\u{1F600}'));
+  bookmark = new CFI("epubcfi(/2/4[p2]/1:3)").resolveLast(doc, { offsetUnit: 'codepoint' });
+  t.deepEqual([bookmark.node, bookmark.offset], [p2.lastChild, 1], "Code points across text nodes");
+
+  t.throws(function() {
+    CFI.generate(text, 6, null, { offsetUnit: 'bytes' });
+  }, /offsetUnit must be/, "Unknown offset unit");
+
+  var cfi = new CFI("epubcfi(/2/2[p1]/1:4)");
+  t.equal(cfi.decodeEntities(null, 'a&amp;b&#x1F600;&#169;&nbsp;&eacute;&unknown;'), 'a&b\u{1F600}\u00a9\u00a0\u00e9&unknown;', "Decode entities without a DOM");
+  t.equal(cfi.trueLength(opfDOM, '&lt;&hellip;'), 12, "Text of a document is not decoded again");
+  t.equal(cfi.trueLength(null, '\u{1F600}\u00e9', 'codepoint'), 2, "Length in code points");
+
+  // The parser decodes &amp;amp; to the five characters '&amp;'
+  var amp = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><p>a&amp;amp;b c</p></body></html>', 'application/xhtml+xml');
+  var ampText = amp.getElementsByTagName('p')[0].firstChild;
+  cfi = CFI.generate(ampText, 8);
+  bookmark = new CFI(cfi).resolveLast(amp);
+  t.deepEqual([cfi, bookmark.node, bookmark.offset], ['epubcfi(/2/2/1:8)', ampText, 8], "Round trip of text with an entity reference in it");
+
+  amp = parseDOM('<html xmlns="http://www.w3.org/1999/xhtml"><body><p>a &amp;amp; b</p></body></html>', 'application/xhtml+xml');
+  ampText = amp.getElementsByTagName('p')[0].firstChild;
+  cfi = CFI.generate(ampText, 8, null, { assertion: { before: 8, after: 1 } });
+  bookmark = new CFI(cfi.replace(':8', ':2')).resolveLast(amp);
+  t.deepEqual([cfi, bookmark.node === ampText, bookmark.offset], ['epubcfi(/2/2/1:8[a &amp^; ,b])', true, 8], "Assertions are not decoded for text of a DOM");
+});
+
 export {};
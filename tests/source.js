@@ -0,0 +1,98 @@
+var { default: tape } = await import('tape');
+var { default: CFI } = await import('../index.js');
+
+// Allow these tests to run outside of the browser
+var JSDOM = (await import('jsdom')).JSDOM;
+
+function parseDOM(str, mimetype) {
+  return new JSDOM(str, {
+    contentType: mimetype
+  }).window.document;
+}
+
+var docs = await import('../test_data/from_spec.js');
+
+const source = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"><body id="body01">
+<p id="para01">Fish &amp; chips<!-- note -->, peas<![CDATA[ & <gravy>]]> and &#x1F600;</p><hr/><p>Two<em>words</em></p>
+</body></html>`;
+
+const xmlIDSource = `<html xmlns="http://www.w3.org/1999/xhtml"><body><p id="a" xml:id="dup">One</p><p id="dup">Two</p><p xml:id="only">Three</p></body></html>`;
+
+tape('Source resolver', function(t) {
+
+  t.plan(15);
+
+  var r = new CFI("epubcfi(/4[body01]/10[para05]/3:5)").resolveSource(docs.html);
+  t.equal(docs.html[r.start], '5', "Text location");
+  t.equal(r.end, r.start, "Text locations are empty ranges");
+
+  r = new CFI("epubcfi(/4[body01]/10[para05]/2)").resolveSource(docs.html);
+  t.equal(docs.html.slice(r.start, r.end), '<em>yyy</em>', "Element");
+
+  r = new CFI("epubcfi(/2[body01]/2[para01]/1:7)").resolveSource(source);
+  t.equal(source.slice(r.start, r.start + 5), 'chips', "Entities count as one character");
+  r = new CFI("epubcfi(/2[body01]/2[para01]/1:21)").resolveSource(source);
+  t.equal(source.slice(r.start, r.start + 7), '<gravy>', "Text, comments and CDATA are one text node");
+  r = new CFI("epubcfi(/2[body01]/2[para01]/1:40)").resolveSource(source);
+  t.equal(source.slice(r.start, r.end + 4), '</p>', "Offset past the end of the text");
+
+  r = new CFI("epubcfi(/2[body01]/3)").resolveSource(source);
+  t.equal(source.slice(r.start, r.start + 5), '<hr/>', "Virtual text node between elements");
+
+  r = new CFI("epubcfi(/2/2[para01]/1:9[Fi,sh])").resolveSource(source, { ignoreIDs: true });
+  t.equal(source.slice(r.start, r.start + 4), 'sh &', "Text Location Assertion");
+
+  r = new CFI("epubcfi(/2[wrong]/6[para01]/1:0)").resolveSource(source);
+  t.equal(source.slice(r.start, r.start + 4), 'Fish', "ID lookup");
+
+  r = new CFI("epubcfi(/2[body01],/2[para01]/1:5,/6/2)").resolveSource(source);
+  t.equal(source.slice(r.start, r.end), '&amp; chips<!-- note -->, peas<![CDATA[ & <gravy>]]> and &#x1F600;</p><hr/><p>Two<em>words</em>', "Range");
+
+  t.equal(new CFI("epubcfi(/2[body01]/2[para01]/1:34)").resolveSource(source, { offsetUnit: 'codepoint' }).start, source.indexOf('</p>'), "Offset units");
+
+  r = new CFI("epubcfi(/2/99[dup]/1:0)").resolveSource(xmlIDSource);
+  t.equal(xmlIDSource.slice(r.start, r.start + 3), 'Two', "An id is used before an xml:id");
+  r = new CFI("epubcfi(/2/99[only]/1:0)").resolveSource(xmlIDSource);
+  t.equal(xmlIDSource.slice(r.start, r.start + 5), 'Three', "Fall back to xml:id");
+
+  t.throws(function() {
+    new CFI("epubcfi(/2/4/1:0)").resolveSource(source, { ignoreIDs: true });
+  }, /Step 3 of the CFI leads to a node that is not in the source/, "Step below a self-closing element");
+  t.throws(function() {
+    new CFI("epubcfi(/2/2/9)").resolveSource(source, { ignoreIDs: true });
+  }, /Step 3 of the CFI leads to a node that is not in the source/, "Index past the last child");
+});
+
+tape('Source generator', function(t) {
+
+  t.plan(11);
+
+  var dom = parseDOM(source, 'application/xhtml+xml');
+  var text = dom.getElementById('para01').firstChild;
+
+  t.equal(CFI.generateFromSource(docs.html, docs.html.indexOf('0123456789') + 5), 'epubcfi(/4[body01]/10[para05]/3:5)', "Text location");
+  t.equal(CFI.generateFromSource(source, source.indexOf('chips')), CFI.generate(text, 7), "Same as the DOM");
+  t.equal(CFI.generateFromSource(source, source.indexOf('gravy')), 'epubcfi(/2[body01]/2[para01]/1:22)', "CDATA");
+  t.equal(CFI.generateFromSource(source, source.indexOf('note')), 'epubcfi(/2[body01]/2[para01]/1:12)', "Comment");
+  t.equal(CFI.generateFromSource(source, source.indexOf('<hr/>') + 2), 'epubcfi(/2[body01]/4)', "Element");
+  t.equal(CFI.generateFromSource(source, source.indexOf('<hr/>')), 'epubcfi(/2[body01]/3:0)', "Virtual text node");
+  t.equal(CFI.generateFromSource(source, source.indexOf('chips'), { assertion: { before: 2, after: 5 }, ids: 'none' }), 'epubcfi(/2/2/1:7[& ,chips])', "Assertion");
+
+  var cfi = CFI.generateFromSource(source, source.indexOf('words'), { offsetUnit: 'codepoint', sideBias: 'before' });
+  t.equal(cfi, 'epubcfi(/2[body01]/6/2/1:0[;s=b])', "Options");
+
+  t.throws(function() {
+    CFI.generateFromSource(source, source.indexOf('<!DOCTYPE'));
+  }, /not inside the root element/, "Offset outside of the root element");
+  t.throws(function() {
+    CFI.generateFromSource(source, source.indexOf('<html') + 2);
+  }, /not inside the root element/, "Offset in the start tag of the root element");
+
+  var xmlIDDOM = parseDOM(xmlIDSource, 'application/xhtml+xml');
+  var opts = { ids: 'unique', xmlIDs: true };
+  t.equal(CFI.generateFromSource(xmlIDSource, xmlIDSource.indexOf('<p id="dup"') + 1, opts), CFI.generate(xmlIDDOM.getElementById('dup'), null, null, opts), "Unique IDs counted like in the DOM");
+});
+
+export {};
@@ -0,0 +1,70 @@
+const debug = false; // Enable debug output?
+
+var { default: tape } = await import('tape');
+var { default: CFI, CFISyntaxError } = await import('../index.js');
+
+const valid = [
+  "epubcfi(/1/2)",
+  "epubcfi(/1/0)",
+  "epubcfi(/1/2:3[pre,post])",
+  "epubcfi(/1/2:3[,post])",
+  "epubcfi(/1/2:3[pre,])",
+  "epubcfi(/1[^^^]])",
+  "epubcfi(/6/14[cha!/p05ref]!/4[bo!/dy01]/10/2/1[foo]:5[don't!/ panic;s=b])",
+  "epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5)",
+  "epubcfi(/6/4[chap01ref]!/4[body01],/10[para05]/3:5,/10[para05]/3:8)",
+  "epubcfi(/6/14[cha!/p05ref]!/4[bo!/dy01]/10/2/1[foo]~42.43@100:50.25)",
+  "epubcfi(/4/2~0.5[;vnd.foo=bar,baz])",
+  "epubcfi(/4/2[;s=a])",
+  "epubcfi(/4/2@50:33.3)"
+];
+
+const invalid = [
+  { cfi: "epubcfi()", index: 8, state: null },
+  { cfi: "epubcfi(/1/2:3[pre,post)", index: 23, state: '[' },
+  { cfi: "epubcfi(/2/4vnd.foo/6foo.bar:20)", index: 12, state: null },
+  { cfi: "epubcfi(/2~42.43@100:100/4!/6/8:100/6:200)", index: 24, state: null },
+  { cfi: "epubcfi(/2@100.5:1)", index: 11, state: '@' },
+  { cfi: "epubcfi(/2@1:101)", index: 13, state: '@' },
+  { cfi: "epubcfi(/02)", index: 10, state: null },
+  { cfi: "epubcfi(/2~1.50)", index: 14, state: '~' },
+  { cfi: "epubcfi(/2[a^b])", index: 13, state: 'nodeID' },
+  { cfi: "epubcfi(/2[])", index: 11, state: 'nodeID' },
+  { cfi: "epubcfi(/2:3[;s])", index: 15, state: '[' },
+  { cfi: "epubcfi(/2@1)", index: 12, state: '@' },
+  { cfi: "epubcfi(/2,/4)", index: 13, state: null },
+  { cfi: "epubcfi(/2/4!)", index: 13, state: '!' }
+];
+
+tape('Strict parsing', function(t) {
+
+  t.plan(valid.length + invalid.length * 3 + 2);
+
+  for (let str of valid) {
+    t.doesNotThrow(function() { new CFI(str, { strict: true }) }, "Valid: " + str);
+  }
+
+  for (let test of invalid) {
+    try {
+      new CFI(test.cfi, { strict: true });
+      t.fail("Invalid CFI was accepted: " + test.cfi);
+      t.skip();
+      t.skip();
+    } catch(err) {
+      if (debug) console.log(err.message);
+      t.ok(err instanceof CFISyntaxError, "Invalid: " + test.cfi);
+      t.equal(err.index, test.index, "Error index for " + test.cfi);
+      t.equal(err.state, test.state, "Error state for " + test.cfi);
+    }
+  }
+
+  t.doesNotThrow(function() { new CFI("epubcfi(/1/2:3[pre,post)") }, "Non-strict mode is lenient");
+
+  t.deepEqual(
+    new CFI("epubcfi(/2/4[a^=b])", { strict: true }).get(),
+    [[{ nodeIndex: 2 }, { nodeIndex: 4, nodeID: "a=b" }]],
+    "Strict mode produces the same parse result"
+  );
+});
+
+export {};
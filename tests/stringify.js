@@ -0,0 +1,102 @@
+const debug = false; // Enable debug output?
+
+var { default: tape } = await import('tape');
+var { default: CFI } = await import('../index.js');
+
+// CFIs that are already in canonical form and should survive a round-trip
+const canonical = [
+  "epubcfi()",
+  "epubcfi(/1/2)",
+  "epubcfi(/1/0)",
+  "epubcfi(/1/2:3[pre,post])",
+  "epubcfi(/1/2:3[,post])",
+  "epubcfi(/1/2:3[pre,])",
+  "epubcfi(/1[^^^]])",
+  "epubcfi(/6/14[cha!/p05ref]!/4[bo!/dy01]/10/2/1[foo]:5[don't!/ panic;s=b])",
+  "epubcfi(/6/4[chap01ref]!/4[body01]/10[para05]/3:5)",
+  "epubcfi(/6/14[cha!/p05ref]!/4[bo!/dy01]/10/2/1[foo]~42.43@100:100)",
+  "epubcfi(/2/4[^(a^,b^)^;^=c]:0[^[x^]])",
+  "epubcfi(/6/4[chap01ref]!/4[body01]/10[para05],/3:5,/3:8)",
+  "epubcfi(/4[body01;vnd.foo=1]/3:5[pre,post;s=a;vnd.hl=2,b^,c])",
+  "epubcfi(/4/2[;s=b])",
+  "epubcfi(/4/2~1.5[;vnd.a=b])"
+];
+
+tape('Stringify', function(t) {
+
+  t.plan(canonical.length * 2 + 5);
+
+  for (let str of canonical) {
+    const cfi = new CFI(str);
+    if (debug) console.log(str, cfi.toString());
+    t.equal(cfi.toString(), str, "toString() round-trip of " + str);
+    t.equal(CFI.stringify(cfi.get()), str, "stringify() round-trip of " + str);
+  }
+
+  t.equal(
+    new CFI("epubcfi(/6/4!/4,/10/3:5,/10/3:8)").toString(),
+    "epubcfi(/6/4!/4,/10/3:5,/10/3:8)",
+    "toString() keeps the range base as parsed"
+  );
+
+  t.equal(
+    CFI.stringify(new CFI("epubcfi(/6/4!/4,/10/3:5,/10/3:8)").get()),
+    "epubcfi(/6/4!/4/10,/3:5,/3:8)",
+    "stringify() uses the longest common base for ranges"
+  );
+
+  t.equal(
+    new CFI("epubcfi(/6/4!/4,/10/3:5,/10/3:8)", { flattenRange: true }).toString(),
+    "epubcfi(/6/4!/4/10/3:5)",
+    "Flattened range serializes as the start of the range"
+  );
+
+  const range = new CFI("epubcfi(/6/4!/4/10,/3:5,/3:8)").get();
+  range.to[1][2].offset = 6;
+  t.equal(CFI.stringify(range), "epubcfi(/6/4!/4/10,/3:5,/3:6)", "Edited range");
+
+  t.throws(function() {
+    CFI.stringify({
+      from: new CFI("epubcfi(/6/4!/4/3:1)").get(),
+      to: new CFI("epubcfi(/6/6!/4/3:1)").get(),
+      isRange: true
+    });
+  }, "Range spanning documents can not be serialized");
+});
+
+tape('URLs', function(t) {
+
+  t.plan(9);
+
+  var o = CFI.fromURL("OEBPS/chapter01.xhtml#epubcfi(/4/2%5Bx%5E%5Dy%5D/3:5%5Bcaf%C3%A9%20au,%25lait%5D)");
+  t.equal(o.uri, "OEBPS/chapter01.xhtml", "Document part of href");
+  t.deepEqual(o.cfi.get(), [[
+    { nodeIndex: 4 },
+    { nodeIndex: 2, nodeID: "x]y" },
+    { nodeIndex: 3, offset: 5, textLocationAssertion: { pre: "café au", post: "%lait" } }
+  ]], "Percent-encoded escape sequences");
+  t.equal(
+    o.cfi.toURL("OEBPS/chapter01.xhtml"),
+    "OEBPS/chapter01.xhtml#epubcfi(/4/2%5Bx%5E%5Dy%5D/3:5%5Bcaf%C3%A9%20au,%25lait%5D)",
+    "Round-trip through toURL()"
+  );
+
+  o = CFI.fromURL("https://example.com/book/#epubcfi(/6/4[chap01ref]!/4/10/3:5)");
+  t.equal(o.uri, "https://example.com/book/", "Absolute URL");
+  t.equal(o.cfi.toString(), "epubcfi(/6/4[chap01ref]!/4/10/3:5)", "CFI from absolute URL");
+
+  o = CFI.fromURL("chapter.xhtml#epubcfi(/2[100%])");
+  t.equal(o.cfi.get()[0][0].nodeID, "100%", "Stray percent sign is left alone");
+
+  t.equal(CFI.fromURL("#epubcfi(/2/4)").uri, "", "Fragment only");
+
+  t.equal(
+    new CFI("epubcfi(/2[a#b]/4)").toURL("chapter.xhtml#old"),
+    "chapter.xhtml#epubcfi(/2%5Ba%23b%5D/4)",
+    "Existing fragment is replaced and '#' is encoded"
+  );
+
+  t.throws(function() { CFI.fromURL("chapter.xhtml#foo") }, "URL without CFI");
+});
+
+export {};